@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Replays raw capture files (CAPTURE_DIR recordings) through the parser and
+ * transaction pipeline.
+ * Usage: node scripts/replay-capture.js [--speed=original|max|<factor>] [--sink=dry-run|queue] [--port=<name>] <capture.ndjson>...
+ *
+ * dry-run (default) prints each line and summary payload as NDJSON on stdout
+ * and leaves the queue database alone; queue enqueues them for delivery like
+ * live data. Frigate is never called.
+ */
+
+const args = process.argv.slice(2);
+const options = Object.fromEntries(args
+  .filter((arg) => arg.startsWith('--'))
+  .map((arg) => {
+    const [key, ...rest] = arg.slice(2).split('=');
+    return [key, rest.join('=')];
+  }));
+const files = args.filter((arg) => !arg.startsWith('--'));
+const sinkName = options.sink || 'dry-run';
+
+if (files.length === 0 || !['dry-run', 'queue'].includes(sinkName)) {
+  console.error('Usage: node scripts/replay-capture.js [--speed=original|max|<factor>] [--sink=dry-run|queue] [--port=<name>] <capture.ndjson>...');
+  process.exit(1);
+}
+
+process.env.FRIGATE_ENABLED = 'false';
+if (sinkName === 'dry-run') {
+  // Nothing is delivered, so the queue and open-transaction snapshots live in
+  // memory instead of touching the service's database.
+  process.env.QUEUE_DB_PATH = ':memory:';
+  process.env.CONSOLE_LOGGING = process.env.CONSOLE_LOGGING || 'false';
+  process.env.N8N_LINES_URL = process.env.N8N_LINES_URL || 'dry-run:lines';
+  process.env.N8N_TXNS_URL = process.env.N8N_TXNS_URL || 'dry-run:transactions';
+}
+
+const { readCapture, parseReplaySpeed, replayCapture } = require('../src/ingest/capture');
+const { createLineSplitter } = require('../src/ingest/lineSplitter');
+const app = require('../src/index');
+
+const dryRunSink = {
+  push(topic, url, payload) {
+    process.stdout.write(`${JSON.stringify({ topic, payload })}\n`);
+  },
+};
+
+async function main() {
+  const speed = parseReplaySpeed(options.speed);
+  const source = options.port
+    ? app.channels.find((channel) => channel.name === options.port)
+    : app.channels[0];
+  if (!source) throw new Error(`replay: no configured port named "${options.port}"`);
+
+  // A separate channel keeps the replay's open-transaction snapshot and
+  // metrics apart from a live service sharing the same queue database.
+  const channel = app.createChannel({
+    name: `replay-${source.name}`,
+    micromanagerId: source.micromanagerId,
+    terminalId: source.terminalId,
+    storeId: source.storeId,
+    drawerId: source.drawerId,
+    terminators: source.terminators,
+  }, { sink: sinkName === 'queue' ? app.queue : dryRunSink });
+
+  // Idle flushes follow the recorded gaps rather than the wall clock so a
+  // replay at max speed frames lines exactly as the live service did.
+  const { idleFlushMs, ...framing } = channel.framing;
+  const chunks = readCapture(files);
+  const splitter = createLineSplitter((line, nowMs) => channel.machine.feed(line, nowMs), framing);
+  let previousTs = null;
+  await replayCapture(chunks, {
+    speed,
+    onChunk: (data, ts) => {
+      if (idleFlushMs > 0 && previousTs !== null && ts - previousTs >= idleFlushMs) splitter.flush(previousTs);
+      previousTs = ts;
+      splitter.push(data, ts);
+    },
+  });
+  splitter.flush();
+
+  const lastTs = chunks.length > 0 ? chunks[chunks.length - 1].ts : Date.now();
+  if (channel.machine.close(lastTs, 'interrupted')) {
+    console.error('replay: capture ended inside a transaction, closed it as interrupted');
+  }
+  await channel.drain();
+  console.error(`replay: ${chunks.length} chunks from ${files.length} file(s) sent to ${sinkName}`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
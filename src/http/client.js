@@ -54,6 +54,9 @@ function requestJson(url, options = {}) {
         });
       });
       req.on('error', reject);
+      if (options.timeoutMs > 0) {
+        req.setTimeout(options.timeoutMs, () => req.destroy(new Error(`request timed out after ${options.timeoutMs} ms`)));
+      }
       if (payload) req.write(payload);
       req.end();
     } catch (err) {
@@ -1,27 +1,83 @@
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
 const SerialPortModule = require('serialport');
 const logger = require('./utils/Logger');
 const defaults = require('../config/defaults.json');
 const { createQueue } = require('./queue/sqliteQueue');
+const { createDispatcher } = require('./queue/dispatcher');
+const { createRetryPolicy } = require('./queue/retryPolicy');
 const { makeTxnMachine } = require('./state/txnMachine');
-const { autoDetectSerialPort } = require('./serial/autoDetect');
+const { reconcileTransaction, TENDER_LINE_TYPES, HEADER_LINE_TYPES } = require('./state/reconcile');
+const { createTxnStore } = require('./state/txnStore');
+const { createCompliancePolicy } = require('./state/compliance');
+const { getParser } = require('./parser/registry');
+const { loadRuleFile, withRules } = require('./parser/rules');
+const {
+  autoDetectSerialPort,
+  serialCandidates,
+  detectSerialSettings,
+  createUnknownLineMonitor,
+} = require('./serial/autoDetect');
+const { createSerialSettingsStore } = require('./serial/settingsStore');
+const { portMatcher, resolvePortIdentity, watchSerialDevices } = require('./serial/portIdentity');
+const { createLineSplitter, compileTerminators } = require('./ingest/lineSplitter');
+const { startTcpClient, startTcpListener } = require('./ingest/tcp');
+const { createCaptureRecorder } = require('./ingest/capture');
 const { requestJson } = require('./http/client');
 const { makeFrigateClient } = require('./http/frigate');
 const { createMetricsRegistry } = require('./server/metrics');
 const { startHealthServer } = require('./server/health');
 const { deriveMicromanagerId } = require('./utils/micromanagerId');
+const { posLocalToUtc, resolveTimeZone } = require('./utils/posTime');
+const { createClockDriftMonitor } = require('./utils/clockDrift');
 
 const SerialPort = SerialPortModule.SerialPort || SerialPortModule;
 
 const N8N_LINES_URL = process.env.N8N_LINES_URL || null;
 const N8N_TXNS_URL = process.env.N8N_TXNS_URL || null;
 
-const SERIAL_BAUD = Number(process.env.SERIAL_BAUD || defaults.serial.baud || 9600);
+const SERIAL_BAUD = process.env.SERIAL_BAUD || defaults.serial.baud || 9600;
+const SERIAL_FALLBACK_BAUD = Number(defaults.serial.baud) || 9600;
+const SERIAL_CANDIDATES = serialCandidates(
+  parseJsonList('SERIAL_BAUD_CANDIDATES', process.env.SERIAL_BAUD_CANDIDATES, defaults.serial.baudCandidates, { scope: 'serial', example: '[9600,19200]' }),
+  parseJsonList('SERIAL_FRAMING_CANDIDATES', process.env.SERIAL_FRAMING_CANDIDATES, defaults.serial.framingCandidates, { scope: 'serial', example: '["8N1","7E1"]' }),
+);
+const SERIAL_PROBE_SECONDS = Number(process.env.SERIAL_PROBE_SECONDS || defaults.serial.probeSeconds);
+const SERIAL_REDETECT_WINDOW = Number(process.env.SERIAL_REDETECT_WINDOW || defaults.serial.redetectWindow);
+const SERIAL_REDETECT_UNKNOWN_RATE = Number(process.env.SERIAL_REDETECT_UNKNOWN_RATE || defaults.serial.redetectUnknownRate);
 const SERIAL_PORT_ENV = process.env.SERIAL_PORT || null;
+const INGEST_SOURCES = ['serial', 'tcp-client', 'tcp-listen'];
+const INGEST_SOURCE = process.env.INGEST_SOURCE || defaults.ingest.source;
+const INGEST_TCP_HOST = process.env.INGEST_TCP_HOST || defaults.ingest.tcpHost || null;
+const INGEST_TCP_PORT = Number(process.env.INGEST_TCP_PORT || defaults.ingest.tcpPort) || null;
+const INGEST_RECONNECT_MIN_MS = Number(process.env.INGEST_RECONNECT_MIN_MS || defaults.ingest.reconnectMinMs);
+const INGEST_RECONNECT_MAX_MS = Number(process.env.INGEST_RECONNECT_MAX_MS || defaults.ingest.reconnectMaxMs);
+const POST_LINES_AS_BATCH = (process.env.POST_LINES_AS_BATCH || (defaults.postLinesAsBatch ? 'true' : 'false')) === 'true';
+const QUEUE_BATCH_SIZE = Number(process.env.QUEUE_BATCH_SIZE || defaults.queue.batchSize);
+const QUEUE_BATCH_LINGER_MS = Number(process.env.QUEUE_BATCH_LINGER_MS ?? defaults.queue.batchLingerMs);
+const QUEUE_CONCURRENCY = Number(process.env.QUEUE_CONCURRENCY || defaults.queue.concurrency);
+const QUEUE_HOST_CONCURRENCY = parseJsonObject('QUEUE_HOST_CONCURRENCY', process.env.QUEUE_HOST_CONCURRENCY, defaults.queue.hostConcurrency, { scope: 'queue', example: '{"n8n.example.com":4}' });
+const QUEUE_BREAKER_FAILURES = Number(process.env.QUEUE_BREAKER_FAILURES || defaults.queue.breakerFailures);
+const QUEUE_BREAKER_OPEN_MS = Number(process.env.QUEUE_BREAKER_OPEN_MS || defaults.queue.breakerOpenMs);
+const QUEUE_BREAKER_MAX_OPEN_MS = Number(process.env.QUEUE_BREAKER_MAX_OPEN_MS || defaults.queue.breakerMaxOpenMs);
+const QUEUE_ORDER_SUMMARIES = (process.env.QUEUE_ORDER_SUMMARIES || (defaults.queue.orderSummaries ? 'true' : 'false')) === 'true';
+const QUEUE_REQUEST_TIMEOUT_MS = Number(process.env.QUEUE_REQUEST_TIMEOUT_MS ?? defaults.queue.requestTimeoutMs);
+const CAPTURE_DIR = process.env.CAPTURE_DIR || defaults.capture.dir || null;
+const LINE_TERMINATORS = parseJsonList('LINE_TERMINATORS', process.env.LINE_TERMINATORS, defaults.framing.terminators, { scope: 'framing', example: '["newline","escpos_cut"]' });
+const LINE_IDLE_FLUSH_MS = Number(process.env.LINE_IDLE_FLUSH_MS || defaults.framing.idleFlushMs);
+const LINE_MAX_LENGTH = Number(process.env.LINE_MAX_LENGTH || defaults.framing.maxLineLength);
 const DEFAULT_SERIAL_PORT = Array.isArray(defaults.serial?.paths) && defaults.serial.paths.length > 0
   ? defaults.serial.paths[0]
   : '/dev/ttyUSB0';
 
+const SERIAL_SYSFS_ROOT = process.env.SERIAL_SYSFS_ROOT || defaults.serial.sysfsRoot;
+const SERIAL_DEV_ROOT = process.env.SERIAL_DEV_ROOT || defaults.serial.devRoot;
+const SERIAL_PORTS_FILE = process.env.SERIAL_PORTS_FILE || defaults.serial.portsFile || null;
+const SERIAL_PORTS = process.env.SERIAL_PORTS
+  ? parseSerialPorts(process.env.SERIAL_PORTS, 'SERIAL_PORTS')
+  : parseSerialPorts(readSerialPortsFile(SERIAL_PORTS_FILE), SERIAL_PORTS_FILE, defaults.serial.ports);
+
 const MICROMANAGER_ID = deriveMicromanagerId({
   env: process.env,
   serialPort: SERIAL_PORT_ENV,
@@ -31,6 +87,7 @@ const MICROMANAGER_ID = deriveMicromanagerId({
 const DEVICE_NAME = process.env.DEVICE_NAME || os.hostname();
 const TERMINAL_ID = (process.env.TERMINAL_ID || process.env.HOST_ETH0_MAC || process.env.HOST_WLAN0_MAC || process.env.HOST_WLAN_MAC || 'unknown').toLowerCase();
 const STORE_ID_ENV = process.env.STORE_ID || null;
+const STORE_TIMEZONE = resolveTimeZone(process.env.STORE_TIMEZONE || defaults.storeTimeZone || null);
 const DRAWER_ID_ENV = process.env.DRAWER_ID || null;
 
 const FRIGATE_BASE = process.env.FRIGATE_BASE || defaults.frigate.baseUrl;
@@ -41,20 +98,142 @@ const FRIGATE_LABEL = process.env.FRIGATE_LABEL || defaults.frigate.label;
 const FRIGATE_DURATION_SECONDS = Number(process.env.FRIGATE_DURATION_SECONDS || defaults.frigate.durationSeconds);
 const FRIGATE_REMOTE_ROLE = process.env.FRIGATE_REMOTE_ROLE || defaults.frigate.remoteRoleHeader;
 const FRIGATE_RETAIN_ON_COMPLETE = (process.env.FRIGATE_RETAIN_ON_COMPLETE || (defaults.frigate.retainOnComplete ? 'true' : 'false')) === 'true';
+const FRIGATE_PUMP_CAMERAS = parseJsonObject('FRIGATE_PUMP_CAMERAS', process.env.FRIGATE_PUMP_CAMERAS, defaults.frigate.pumpCameras, { scope: 'frigate', example: '{"5":"forecourt"}' });
+
+// SERIAL_PORTS lists the registers this process watches. Entries are either a
+// device path or an object overriding that port's identity, for example
+// [{"path":"/dev/ttyUSB1","terminalId":"reg-2","cameraName":"register_2"}].
+// Registers behind a networked serial server use a TCP source instead of a
+// path: {"source":"tcp-client","host":"10.0.0.20","tcpPort":4001}.
+// Adapters that the kernel may renumber are bound by USB identity instead:
+// {"name":"register_2","serialNumber":"A10K3XYZ"}, {"vendorId":"0403",
+// "productId":"6001"} or {"byId":"usb-FTDI_FT232R_USB_UART_A10K3XYZ-if00-port0"}.
+function parseSerialPorts(value, source, fallback) {
+  let list = fallback || [];
+  if (value) {
+    try {
+      list = JSON.parse(value);
+    } catch (err) {
+      throw new Error(`serial: ${source} must be a JSON array such as ["/dev/ttyUSB0","/dev/ttyUSB1"] – ${err.message}`);
+    }
+  }
+  if (!Array.isArray(list)) throw new Error(`serial: ${source} must be a JSON array such as ["/dev/ttyUSB0","/dev/ttyUSB1"]`);
+  const ports = list.map((entry) => {
+    const port = typeof entry === 'string' ? { path: entry } : entry;
+    const match = port ? portMatcher(port) : null;
+    if (!port?.path && !port?.tcpPort && !match) {
+      throw new Error(`serial: ${source} entry ${JSON.stringify(entry)} has no path, tcpPort or USB identity`);
+    }
+    let name = port.name;
+    if (!name && port.path) name = path.basename(port.path);
+    if (!name && match) name = path.basename(match.byId || match.serialNumber || `${match.vendorId}-${match.productId}`);
+    return { ...port, name: name || `tcp-${port.tcpPort}` };
+  });
+  const names = ports.map((port) => port.name);
+  const repeated = names.find((name, index) => names.indexOf(name) !== index);
+  if (repeated) throw new Error(`serial: ${source} names must be unique ("${repeated}" repeats)`);
+  return ports;
+}
+
+function readSerialPortsFile(filePath) {
+  if (!filePath) return null;
+  try {
+    return fs.readFileSync(path.resolve(__dirname, '..', filePath), 'utf8');
+  } catch (err) {
+    throw new Error(`serial: cannot read SERIAL_PORTS_FILE ${filePath} – ${err.message}`);
+  }
+}
+
+function parseJsonObject(name, value, fallback, { scope, example }) {
+  if (!value) return fallback || {};
+  let object;
+  try {
+    object = JSON.parse(value);
+  } catch (err) {
+    throw new Error(`${scope}: ${name} must be a JSON object such as ${example} – ${err.message}`);
+  }
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    throw new Error(`${scope}: ${name} must be a JSON object such as ${example}`);
+  }
+  return object;
+}
+
+function parseJsonList(name, value, fallback, { scope, example }) {
+  if (!value) return fallback || [];
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch (err) {
+    throw new Error(`${scope}: ${name} must be a JSON array such as ${example} – ${err.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error(`${scope}: ${name} must be a JSON array such as ${example}`);
+  return list;
+}
+
+const compliancePolicy = createCompliancePolicy({
+  restrictedDepartments: parseJsonList('COMPLIANCE_RESTRICTED_DEPARTMENTS', process.env.COMPLIANCE_RESTRICTED_DEPARTMENTS, defaults.compliance.restrictedDepartments, { scope: 'compliance', example: '["12"]' }),
+  restrictedTaxClasses: parseJsonList('COMPLIANCE_RESTRICTED_TAX_CLASSES', process.env.COMPLIANCE_RESTRICTED_TAX_CLASSES, defaults.compliance.restrictedTaxClasses, { scope: 'compliance', example: '["T"]' }),
+  restrictedPatterns: parseJsonList('COMPLIANCE_RESTRICTED_PATTERNS', process.env.COMPLIANCE_RESTRICTED_PATTERNS, defaults.compliance.restrictedPatterns, { scope: 'compliance', example: '["TOBACCO"]' }),
+  minimumAge: Number(process.env.COMPLIANCE_MINIMUM_AGE || defaults.compliance.minimumAge),
+  passingResults: defaults.compliance.passingResults,
+});
 
 const VERSION = defaults.parserVersion;
+const RECONCILE_TOLERANCE = Number(process.env.RECONCILE_TOLERANCE || defaults.reconciliation.tolerance);
+const RECONCILE_MAX_TAX_RATE = Number(process.env.RECONCILE_MAX_TAX_RATE || defaults.reconciliation.maxTaxRate);
+const TXN_IDLE_TIMEOUT_SECONDS = Number(process.env.TXN_IDLE_TIMEOUT_SECONDS || defaults.transaction.idleTimeoutSeconds || 0);
+const TXN_RESUME_MAX_AGE_SECONDS = Number(process.env.TXN_RESUME_MAX_AGE_SECONDS || defaults.transaction.resumeMaxAgeSeconds);
+const POS_TYPE = process.env.POS_TYPE || defaults.posType;
+const PARSER_RULES_PATH = process.env.PARSER_RULES_PATH || defaults.parserRules || null;
+
+function loadParser() {
+  const base = getParser(POS_TYPE);
+  if (!PARSER_RULES_PATH) return base;
+  const rulesPath = path.resolve(__dirname, '..', PARSER_RULES_PATH);
+  const ruleSet = loadRuleFile(rulesPath);
+  if (ruleSet.posType && ruleSet.posType !== POS_TYPE) {
+    throw new Error(`parser rules (${rulesPath}): written for posType "${ruleSet.posType}", running "${POS_TYPE}"`);
+  }
+  logger.info('parser: loaded rule file', { path: rulesPath, rules: ruleSet.rules.length, replace_defaults: ruleSet.replaceDefaults });
+  return withRules(base, ruleSet);
+}
+
+const parser = loadParser();
+
+const CHANNEL_COUNTERS = [
+  'micromanager_parse_errors_total',
+  'micromanager_lines_processed_total',
+  'micromanager_transactions_timed_out_total',
+  'micromanager_transactions_interrupted_total',
+  'micromanager_reconciliation_mismatch_total',
+  'micromanager_compliance_violations_total',
+  'micromanager_serial_redetections_total',
+  'micromanager_line_overflows_total',
+];
 
 const metrics = createMetricsRegistry();
 metrics.setGauge('micromanager_queue_depth', 0);
-metrics.incCounter('micromanager_parse_errors_total', 0);
-metrics.incCounter('micromanager_lines_processed_total', 0);
+
+const retryPolicy = createRetryPolicy({
+  maxTries: Number(process.env.QUEUE_MAX_TRIES ?? defaults.queue.maxTries),
+  ...defaults.queue.retry,
+  ...parseJsonObject('QUEUE_RETRY_POLICY', process.env.QUEUE_RETRY_POLICY, {}, {
+    scope: 'queue',
+    example: '{"jitter":"full","topics":{"transaction_line":{"maxSeconds":30}}}',
+  }),
+});
 
 const queue = createQueue({
   dbPath: process.env.QUEUE_DB_PATH || defaults.queue.dbPath,
   maxBytes: Number(process.env.QUEUE_MAX_BYTES || defaults.queue.maxBytes),
   maxAgeSeconds: Number(process.env.QUEUE_MAX_AGE_SECONDS || defaults.queue.maxAgeSeconds),
   trimBatchSize: Number(process.env.QUEUE_TRIM_BATCH || defaults.queue.trimBatchSize),
+  retryPolicy,
+  deadLetterMaxAgeSeconds: Number(process.env.QUEUE_DEAD_LETTER_MAX_AGE_SECONDS ?? defaults.queue.deadLetterMaxAgeSeconds),
+  topicPriorities: parseJsonObject('QUEUE_TOPIC_PRIORITIES', process.env.QUEUE_TOPIC_PRIORITIES, defaults.queue.topicPriorities, { scope: 'queue', example: '{"transactions":10}' }),
+  orderedTopics: QUEUE_ORDER_SUMMARIES ? ['transactions'] : [],
 }, logger);
+const serialSettingsStore = createSerialSettingsStore({ db: queue.db }, logger);
 
 const frigateClient = makeFrigateClient({
   baseUrl: FRIGATE_BASE,
@@ -66,7 +245,10 @@ const frigateClient = makeFrigateClient({
   retainOnComplete: FRIGATE_RETAIN_ON_COMPLETE,
 }, logger);
 
-let currentTxn = null;
+const FUEL_LINE_TYPES = ['fuel_prepay', 'fuel_postpay', 'fuel_grade'];
+
+// Loss-prevention events counted onto the transaction summary
+const EXCEPTION_LINE_TYPES = ['void', 'void_transaction', 'refund', 'error_correct', 'no_sale', 'cancel', 'manual_override'];
 
 function applyMetaToLines(txn) {
   if (!txn?.meta) return;
@@ -89,8 +271,47 @@ function applyFrigateToLines(txn) {
   });
 }
 
-async function finalizeTransaction(txn, nowMs) {
+// Bookmarks forecourt video on the camera mapped to a pump, once per camera
+// per transaction.
+function startPumpEvent(channel, txn, pump) {
+  const cameraName = channel.pumpCameras[String(pump)];
+  if (!FRIGATE_ENABLED || !cameraName || txn.pumpEvents[cameraName]) return;
+  txn.pumpEvents[cameraName] = frigateClient.startEvent({
+    cameraName,
+    label: FRIGATE_LABEL,
+    durationSeconds: FRIGATE_DURATION_SECONDS,
+  }).then((event) => {
+    if (!event) return null;
+    txn.resolvedPumpEvents[cameraName] = { ...event, pump };
+    return txn.resolvedPumpEvents[cameraName];
+  });
+}
+
+async function finalizePumpEvents(txn, txnPayload) {
+  const events = await Promise.all(Object.values(txn.pumpEvents).map((promise) => promise.catch((err) => {
+    logger.warn('frigate: pump event creation failed', { error: err.message });
+    return null;
+  })));
+  return events.filter(Boolean).map((event) => {
+    const descriptionParts = [`Pump ${event.pump}`];
+    if (txn.meta?.transaction_number) descriptionParts.push(`Txn ${txn.meta.transaction_number}`);
+    if (typeof txnPayload.fuel_amount === 'number') descriptionParts.push(`Fuel: ${txnPayload.fuel_amount.toFixed(2)}`);
+    frigateClient
+      .annotateEvent(event.eventId, {
+        subLabel: txn.meta?.transaction_number ? `Txn ${txn.meta.transaction_number}` : undefined,
+        description: descriptionParts.join(' | '),
+        retain: FRIGATE_RETAIN_ON_COMPLETE,
+      })
+      .finally(() => {
+        frigateClient.endEvent(event.eventId);
+      });
+    return event.eventId;
+  });
+}
+
+async function finalizeTransaction(channel, txn, nowMs) {
   if (!txn) return;
+  const { clockDrift } = channel;
   try {
     if (txn.eventPromise) {
       try {
@@ -107,48 +328,148 @@ async function finalizeTransaction(txn, nowMs) {
     applyMetaToLines(txn);
 
     const endedAt = new Date(nowMs).toISOString();
+    const videoStart = clockDrift.videoTime(Date.parse(txn.startedAt));
+    const videoEnd = clockDrift.videoTime(nowMs);
     const items = txn.lines.filter((line) => line.line_type === 'item');
     const totalLine = [...txn.lines.filter((line) => line.line_type === 'total')].pop();
+    const recallLine = txn.lines.find((line) => line.line_type === 'recall');
+    const subtotalLine = [...txn.lines.filter((line) => line.line_type === 'subtotal')].pop();
+    const sumLines = (types, transform = (amount) => amount) => {
+      const matching = txn.lines.filter((line) => types.includes(line.line_type) && typeof line.amount === 'number');
+      if (matching.length === 0) return null;
+      return Number(matching.reduce((total, line) => total + transform(line.amount), 0).toFixed(2));
+    };
     const tenderTotals = {};
     txn.lines.forEach((line) => {
-      if (line.line_type === 'cash' || line.line_type === 'debit' || line.line_type === 'credit' || line.line_type === 'preauth') {
+      if (TENDER_LINE_TYPES.includes(line.line_type)) {
         const key = line.line_type;
         const existing = tenderTotals[key] || 0;
         tenderTotals[key] = existing + (typeof line.amount === 'number' ? line.amount : 0);
       }
     });
+    const tenders = txn.lines
+      .filter((line) => TENDER_LINE_TYPES.includes(line.line_type) && typeof line.amount === 'number')
+      .map((line) => ({
+        type: line.line_type,
+        amount: line.amount,
+        position: line.transaction_position,
+        timestamp: line.pos_timestamp || line.device_timestamp,
+      }));
+    const exceptions = {};
+    txn.lines.forEach((line) => {
+      if (!EXCEPTION_LINE_TYPES.includes(line.line_type)) return;
+      const entry = exceptions[line.line_type] || { count: 0, amount: 0 };
+      entry.count += 1;
+      entry.amount += typeof line.amount === 'number' ? Math.abs(line.amount) : 0;
+      exceptions[line.line_type] = entry;
+    });
+    const taxClassTotals = {};
+    txn.lines.forEach((line) => {
+      if (!line.tax_class || typeof line.amount !== 'number') return;
+      const existing = taxClassTotals[line.tax_class] || 0;
+      taxClassTotals[line.tax_class] = Number((existing + line.amount).toFixed(2));
+    });
+    const pumps = [...new Set(txn.lines
+      .filter((line) => FUEL_LINE_TYPES.includes(line.line_type) && Number.isFinite(line.pump))
+      .map((line) => line.pump))];
+    const fuelAmount = sumLines(['fuel_prepay', 'fuel_postpay']) ?? sumLines(['fuel_grade']);
+    const gallonLines = txn.lines.filter((line) => line.line_type === 'fuel_grade' && typeof line.gallons === 'number');
+    const fuelGallons = gallonLines.length > 0
+      ? Number(gallonLines.reduce((total, line) => total + line.gallons, 0).toFixed(3))
+      : null;
+    const { reconciliation, integrity_flags: integrityFlags } = reconcileTransaction(txn.lines, {
+      tolerance: RECONCILE_TOLERANCE,
+      maxTaxRate: RECONCILE_MAX_TAX_RATE,
+    });
+    // Timed-out transactions are counted separately; a mismatch here should
+    // point at the parser rather than at a transaction that never finished.
+    if (reconciliation.status === 'mismatch' && txn.status !== 'timed_out') {
+      metrics.incCounter('micromanager_reconciliation_mismatch_total', 1, channel.labels);
+      logger.warn('transaction does not reconcile', {
+        ...channel.labels,
+        txnId: txn.txnId,
+        transaction_number: txn.meta?.transaction_number || null,
+        flags: integrityFlags,
+      });
+    }
+    const compliance = compliancePolicy.check(txn.lines);
+    if (compliance.compliance_flags.includes('compliance_violation')) {
+      metrics.incCounter('micromanager_compliance_violations_total', 1, channel.labels);
+      logger.warn('restricted items sold without a passing age check', {
+        ...channel.labels,
+        txnId: txn.txnId,
+        transaction_number: txn.meta?.transaction_number || null,
+        items: compliance.restricted_items,
+      });
+    }
+    const exceptionCount = (type) => exceptions[type]?.count || 0;
+    const exceptionAmount = (type) => (exceptions[type] ? Number(exceptions[type].amount.toFixed(2)) : null);
 
     const txnPayload = {
-      micromanager_id: MICROMANAGER_ID,
+      micromanager_id: channel.micromanagerId,
       device_name: DEVICE_NAME,
-      terminal_id: txn.meta?.terminal_id || TERMINAL_ID,
-      pos_type: defaults.posType || null,
+      terminal_id: txn.meta?.terminal_id || channel.terminalId,
+      pos_type: POS_TYPE || null,
       transaction_number: txn.meta?.transaction_number || null,
       transaction_uuid: txn.txnId || null,
+      status: txn.status || 'completed',
+      transaction_state: txn.state || null,
+      recalled_transaction_number: recallLine ? recallLine.referenced_transaction_number : null,
       total_amount: totalLine ? totalLine.amount : null,
+      subtotal_amount: subtotalLine ? subtotalLine.amount : null,
+      tax_amount: sumLines(['tax']),
+      change_amount: sumLines(['change']),
+      discount_amount: sumLines(['discount', 'coupon'], Math.abs),
+      tax_class_totals: taxClassTotals,
+      fuel_amount: fuelAmount,
+      fuel_gallons: fuelGallons,
+      pumps,
       item_count: items.length,
       line_count: txn.lines.length,
       cash_amount: typeof tenderTotals.cash === 'number' ? tenderTotals.cash : null,
       credit_amount: typeof tenderTotals.credit === 'number' ? tenderTotals.credit : null,
       debit_amount: typeof tenderTotals.debit === 'number' ? tenderTotals.debit : null,
       preauth_amount: typeof tenderTotals.preauth === 'number' ? tenderTotals.preauth : null,
+      tenders,
+      void_count: exceptionCount('void'),
+      void_amount: exceptionAmount('void'),
+      refund_count: exceptionCount('refund'),
+      refund_amount: exceptionAmount('refund'),
+      error_correct_count: exceptionCount('error_correct'),
+      error_correct_amount: exceptionAmount('error_correct'),
+      no_sale_count: exceptionCount('no_sale'),
+      cancel_count: exceptionCount('cancel'),
+      manual_override_count: exceptionCount('manual_override'),
+      transaction_voided: exceptionCount('void_transaction') > 0,
+      reconciliation,
+      integrity_flags: integrityFlags,
+      age_verifications: compliance.age_verifications,
+      age_verified: compliance.age_verified,
+      restricted_item_count: compliance.restricted_items.length,
+      restricted_items: compliance.restricted_items,
+      compliance_flags: compliance.compliance_flags,
       transaction_started_at: txn.startedAt,
       transaction_completed_at: endedAt,
-      video_start_time: txn.startedAt,
-      video_end_time: endedAt,
+      video_start_time: videoStart.iso,
+      video_end_time: videoEnd.iso,
+      video_clock_source: videoEnd.source,
+      pos_clock_offset_seconds: clockDrift.offsetSeconds(),
       frigate_event_id: txn.frigateEvent?.eventId || null,
+      forecourt_event_ids: [],
       pos_metadata: {
         parser_version: VERSION,
-        drawer_id: txn.meta?.drawer_id || DRAWER_ID_ENV || null,
-        store_id: txn.meta?.store_id || STORE_ID_ENV || null,
+        drawer_id: txn.meta?.drawer_id || channel.drawerId || null,
+        store_id: txn.meta?.store_id || channel.storeId || null,
       },
     };
 
-    // Note: Lines are now streamed individually in onLine.
-    // We only send the transaction summary here.
+    txnPayload.forecourt_event_ids = await finalizePumpEvents(txn, txnPayload);
+
+    // Lines were queued one by one in onLine; with POST_LINES_AS_BATCH the
+    // dispatcher posts them as a bare JSON array. Only the summary goes here.
 
     if (N8N_TXNS_URL) {
-      queue.push('transactions', N8N_TXNS_URL, txnPayload, { 'content-type': 'application/json' });
+      channel.sink.push('transactions', N8N_TXNS_URL, txnPayload, { 'content-type': 'application/json' }, { orderKey: txnPayload.transaction_uuid });
     }
 
     if (txn.frigateEvent?.eventId) {
@@ -175,213 +496,487 @@ async function finalizeTransaction(txn, nowMs) {
   }
 }
 
-const machine = makeTxnMachine({
-  onStart(nowMs, txnId) {
-    const startedAt = new Date(nowMs).toISOString();
+// A channel is one register on one serial port, with its own transaction
+// machine, open-transaction snapshot, clock monitor and identity. Channels
+// share the queue, metrics registry and Frigate client. Without SERIAL_PORTS
+// the process watches a single auto-detected port, as before. Replays pass a
+// different sink to keep payloads out of the delivery queue.
+function createChannel(port = {}, { multiPort = false, sink = queue } = {}) {
+  const name = port.name || 'default';
+  const labels = { port: name };
+  const match = portMatcher(port);
+  const source = port.source || (multiPort && !port.path && !match ? 'tcp-client' : INGEST_SOURCE);
+  const baudSetting = String(port.baud || SERIAL_BAUD).toLowerCase();
+  const channel = {
+    name,
+    labels,
+    source,
+    path: port.path || SERIAL_PORT_ENV,
+    match,
+    autoBaud: source === 'serial' && baudSetting === 'auto',
+    baud: baudSetting === 'auto' ? SERIAL_FALLBACK_BAUD : Number(baudSetting),
+    tcpHost: port.host || INGEST_TCP_HOST,
+    tcpPort: Number(port.tcpPort || INGEST_TCP_PORT) || null,
+    micromanagerId: port.micromanagerId || (multiPort
+      ? deriveMicromanagerId({
+        env: { ...process.env, MICROMANAGER_ID: '', DEVICE_ID: '' },
+        serialPort: port.path || String(port.tcpPort),
+        portName: match ? name : undefined,
+      })
+      : MICROMANAGER_ID),
+    terminalId: (port.terminalId || TERMINAL_ID).toLowerCase(),
+    storeId: port.storeId || STORE_ID_ENV || null,
+    drawerId: port.drawerId || DRAWER_ID_ENV || null,
+    cameraName: port.cameraName || FRIGATE_CAMERA_NAME,
+    pumpCameras: port.pumpCameras || FRIGATE_PUMP_CAMERAS,
+    terminators: port.terminators || LINE_TERMINATORS,
+    sink,
+  };
+  channel.framing = {
+    terminators: compileTerminators(channel.terminators),
+    idleFlushMs: LINE_IDLE_FLUSH_MS,
+    maxLineLength: LINE_MAX_LENGTH,
+  };
+  if (!INGEST_SOURCES.includes(channel.source)) {
+    throw new Error(`ingest: invalid source "${channel.source}" for ${name} (expected ${INGEST_SOURCES.join('|')})`);
+  }
+  if (channel.source !== 'serial' && !channel.tcpPort) {
+    throw new Error(`ingest: ${channel.source} on ${name} needs a TCP port (INGEST_TCP_PORT or tcpPort)`);
+  }
+  if (channel.source === 'tcp-client' && !channel.tcpHost) {
+    throw new Error(`ingest: tcp-client on ${name} needs a host (INGEST_TCP_HOST or host)`);
+  }
+  channel.clockDrift = createClockDriftMonitor({
+    warnSeconds: Number(process.env.CLOCK_DRIFT_WARN_SECONDS || defaults.clock.driftWarnSeconds),
+    maxOffsetSeconds: Number(process.env.CLOCK_MAX_OFFSET_SECONDS ?? defaults.clock.maxOffsetSeconds),
+    videoClockSource: process.env.VIDEO_CLOCK_SOURCE || defaults.clock.videoClockSource,
+    metrics,
+    labels,
+  }, logger);
+  const { clockDrift } = channel;
+  const txnStore = createTxnStore({ db: queue.db, channel: name }, logger);
+  CHANNEL_COUNTERS.forEach((counter) => metrics.incCounter(counter, 0, labels));
+  const recorder = CAPTURE_DIR ? createCaptureRecorder({
+    dir: path.resolve(CAPTURE_DIR),
+    channel: name,
+    fileBytes: Number(process.env.CAPTURE_FILE_BYTES || defaults.capture.fileBytes),
+    fileAgeSeconds: Number(process.env.CAPTURE_FILE_AGE_SECONDS || defaults.capture.fileAgeSeconds),
+    maxBytes: Number(process.env.CAPTURE_MAX_BYTES || defaults.capture.maxBytes),
+    maxAgeSeconds: Number(process.env.CAPTURE_MAX_AGE_SECONDS || defaults.capture.maxAgeSeconds),
+  }, logger) : null;
+
+  const unknownMonitor = createUnknownLineMonitor({
+    windowSize: SERIAL_REDETECT_WINDOW,
+    threshold: SERIAL_REDETECT_UNKNOWN_RATE,
+  });
+  let activePort = null;
+  let retryTimer = null;
+  let redetect = false;
+  let currentTxn = null;
+  const finalizing = new Set();
+
+  function persistOpenTransaction() {
+    const machineState = machine.snapshot();
+    if (!machineState || !currentTxn) return;
+    try {
+      txnStore.save({
+        machine: machineState,
+        txn: {
+          startedAt: currentTxn.startedAt,
+          txnId: currentTxn.txnId,
+          lines: currentTxn.lines,
+          meta: currentTxn.meta,
+          frigateEvent: currentTxn.frigateEvent,
+          resolvedPumpEvents: currentTxn.resolvedPumpEvents,
+        },
+      });
+    } catch (err) {
+      logger.warn('txn store: failed to persist open transaction', { ...labels, error: err.message });
+    }
+  }
+
+  // Picks up a transaction left open by a restart under the same UUID and
+  // position counter, or closes it as interrupted when it has gone stale.
+  function restoreOpenTransaction(nowMs = Date.now()) {
+    const saved = txnStore.load();
+    if (!saved?.machine || !saved.txn) return null;
+
+    const { resolvedPumpEvents = {}, ...txn } = saved.txn;
     currentTxn = {
-      startedAt,
-      txnId,
-      lines: [],
-      meta: { terminal_id: TERMINAL_ID, drawer_id: DRAWER_ID_ENV || null, store_id: STORE_ID_ENV || null },
+      ...txn,
       eventPromise: null,
-      frigateEvent: null,
+      pumpEvents: Object.fromEntries(Object.entries(resolvedPumpEvents).map(([camera, event]) => [camera, Promise.resolve(event)])),
+      resolvedPumpEvents,
     };
-    logger.info('transaction started', { started_at: startedAt, txnId });
-    if (FRIGATE_ENABLED) {
-      currentTxn.eventPromise = frigateClient.startEvent({
-        cameraName: FRIGATE_CAMERA_NAME,
-        label: FRIGATE_LABEL,
-        durationSeconds: FRIGATE_DURATION_SECONDS,
-      }).then((event) => {
-        if (event) {
-          currentTxn.frigateEvent = event;
-          applyFrigateToLines(currentTxn);
-        }
-        return event;
-      });
+    machine.restore(saved.machine);
+
+    const lastLineMs = saved.machine.lastLineMs ?? Date.parse(txn.startedAt);
+    if (nowMs - lastLineMs > TXN_RESUME_MAX_AGE_SECONDS * 1000) {
+      logger.warn('transaction interrupted by restart', { ...labels, txnId: txn.txnId, lines: txn.lines.length });
+      metrics.incCounter('micromanager_transactions_interrupted_total', 1, labels);
+      machine.close(lastLineMs, 'interrupted');
+      return 'interrupted';
     }
-  },
-  onLine({ nowMs, pos, c, txnId }) {
-    if (!currentTxn) {
+    logger.info('transaction resumed after restart', { ...labels, txnId: txn.txnId, position: saved.machine.pos });
+    return 'resumed';
+  }
+
+  const machine = makeTxnMachine({
+    parser,
+    idleTimeoutMs: TXN_IDLE_TIMEOUT_SECONDS * 1000,
+    onStart(nowMs, txnId) {
+      const startedAt = new Date(nowMs).toISOString();
       currentTxn = {
-        startedAt: new Date(nowMs).toISOString(),
+        startedAt,
         txnId,
         lines: [],
-        meta: { terminal_id: TERMINAL_ID, drawer_id: DRAWER_ID_ENV || null, store_id: STORE_ID_ENV || null },
+        meta: { terminal_id: channel.terminalId, drawer_id: channel.drawerId, store_id: channel.storeId },
         eventPromise: null,
         frigateEvent: null,
+        pumpEvents: {},
+        resolvedPumpEvents: {},
       };
-    }
+      logger.info('transaction started', { ...labels, started_at: startedAt, txnId });
+      if (FRIGATE_ENABLED) {
+        const txn = currentTxn;
+        txn.eventPromise = frigateClient.startEvent({
+          cameraName: channel.cameraName,
+          label: FRIGATE_LABEL,
+          durationSeconds: FRIGATE_DURATION_SECONDS,
+        }).then((event) => {
+          if (event) {
+            txn.frigateEvent = event;
+            applyFrigateToLines(txn);
+          }
+          return event;
+        });
+      }
+    },
+    onLine({ nowMs, pos, c, txnId, state }) {
+      if (!currentTxn) {
+        currentTxn = {
+          startedAt: new Date(nowMs).toISOString(),
+          txnId,
+          lines: [],
+          meta: { terminal_id: channel.terminalId, drawer_id: channel.drawerId, store_id: channel.storeId },
+          eventPromise: null,
+          frigateEvent: null,
+          pumpEvents: {},
+          resolvedPumpEvents: {},
+        };
+      }
 
-    if (c.type === 'end_header') {
-      currentTxn.meta = {
-        ...currentTxn.meta,
-        store_id: c.store || currentTxn.meta.store_id || STORE_ID_ENV || null,
-        drawer_id: c.drawer || currentTxn.meta.drawer_id || DRAWER_ID_ENV || null,
-        transaction_number: c.txn || currentTxn.meta.transaction_number || null,
-      };
-      applyMetaToLines(currentTxn);
-    } else if (c.type === 'cashier') {
-      currentTxn.meta.cashier = c.cashier;
-    }
+      if (HEADER_LINE_TYPES.includes(c.type)) {
+        currentTxn.meta = {
+          ...currentTxn.meta,
+          store_id: c.store || currentTxn.meta.store_id || channel.storeId,
+          drawer_id: c.drawer || currentTxn.meta.drawer_id || channel.drawerId,
+          transaction_number: c.txn || currentTxn.meta.transaction_number || null,
+        };
+        applyMetaToLines(currentTxn);
+      } else if (c.type === 'cashier') {
+        currentTxn.meta.cashier = c.cashier;
+      }
 
-    const deviceTimestamp = new Date(nowMs).toISOString();
-    const line = {
-      micromanager_id: MICROMANAGER_ID,
-      device_name: DEVICE_NAME,
-      device_timestamp: deviceTimestamp,
-      line_type: c.type,
-      description: c.desc || c.cashier || c.line,
-      qty: c.qty !== undefined ? c.qty : (c.type === 'item' ? 1 : null),
-      amount: c.amount !== undefined ? c.amount : null,
-      raw_line: c.line,
-      parsed_successfully: c.type !== 'unknown',
-      transaction_position: pos,
-      transaction_number: currentTxn.meta.transaction_number || null,
-      transaction_uuid: txnId || null,
-      pos_metadata: {
-        pos_type: defaults.posType,
-        parser_version: VERSION,
-        terminal_id: TERMINAL_ID,
-        drawer_id: currentTxn.meta.drawer_id || DRAWER_ID_ENV || null,
-        store_id: currentTxn.meta.store_id || STORE_ID_ENV || null,
-      },
-      frigate_url: currentTxn.frigateEvent?.eventUrl || null,
-    };
+      if (Number.isFinite(c.pump)) {
+        startPumpEvent(channel, currentTxn, c.pump);
+      }
 
-    currentTxn.lines.push(line);
+      const deviceTimestamp = new Date(nowMs).toISOString();
+      const posTimestamp = c.posDate ? posLocalToUtc(c.posDate, c.posTime, STORE_TIMEZONE) : null;
+      if (posTimestamp) clockDrift.observe(posTimestamp, nowMs);
+      const line = {
+        micromanager_id: channel.micromanagerId,
+        device_name: DEVICE_NAME,
+        device_timestamp: deviceTimestamp,
+        pos_timestamp: posTimestamp,
+        pos_register: c.posRegister || null,
+        line_type: c.type,
+        description: c.desc || c.cashier || c.line,
+        qty: c.qty !== undefined ? c.qty : (c.type === 'item' ? 1 : null),
+        amount: c.amount !== undefined ? c.amount : null,
+        unit_price: c.unitPrice !== undefined ? c.unitPrice : null,
+        tax_class: c.taxClass || null,
+        department: c.department || null,
+        plu: c.plu || null,
+        pump: Number.isFinite(c.pump) ? c.pump : null,
+        fuel_grade: c.grade || null,
+        gallons: typeof c.gallons === 'number' ? c.gallons : null,
+        referenced_item: c.referencedItem || null,
+        referenced_transaction_number: c.transactionNumber || null,
+        verification_result: c.type === 'age_verification' ? c.status || null : null,
+        dob: c.dob || null,
+        raw_line: c.line,
+        parsed_successfully: c.type !== 'unknown',
+        transaction_position: pos,
+        transaction_state: state || null,
+        transaction_number: currentTxn.meta.transaction_number || null,
+        transaction_uuid: txnId || null,
+        pos_metadata: {
+          pos_type: POS_TYPE,
+          parser_version: VERSION,
+          terminal_id: channel.terminalId,
+          drawer_id: currentTxn.meta.drawer_id || channel.drawerId,
+          store_id: currentTxn.meta.store_id || channel.storeId,
+        },
+        frigate_url: currentTxn.frigateEvent?.eventUrl || null,
+      };
 
-    // Stream line immediately
-    if (N8N_LINES_URL) {
-      queue.push('transaction_line', N8N_LINES_URL, line, { 'content-type': 'application/json' });
-    }
+      currentTxn.lines.push(line);
 
-    metrics.incCounter('micromanager_lines_processed_total', 1);
-    if (c.type === 'unknown') {
-      metrics.incCounter('micromanager_parse_errors_total', 1);
-    }
-  },
-  onEnd({ nowMs, meta }) {
-    const txn = currentTxn;
-    if (txn) {
-      txn.meta = { ...txn.meta, ...meta, terminal_id: TERMINAL_ID };
-      applyMetaToLines(txn);
-      const endNow = nowMs;
-      finalizeTransaction(txn, endNow);
-    }
-    currentTxn = null;
-  },
-  onParseError({ raw }) {
-    logger.warn('parser: unclassified line', { line: raw });
-  },
-});
+      // Stream line immediately
+      if (N8N_LINES_URL) {
+        sink.push('transaction_line', N8N_LINES_URL, line, { 'content-type': 'application/json' }, { orderKey: line.transaction_uuid });
+      }
 
-async function startSerialLoop() {
-  const explicit = SERIAL_PORT_ENV;
-  const portPath = await autoDetectSerialPort({
-    explicit,
-    paths: defaults.serial.paths,
-    prefix: defaults.serial.autoDetectPrefix,
-  }, logger);
+      metrics.incCounter('micromanager_lines_processed_total', 1, labels);
+      if (c.type === 'unknown') {
+        metrics.incCounter('micromanager_parse_errors_total', 1, labels);
+      }
+      if (channel.autoBaud && activePort && unknownMonitor.observe(c.type === 'unknown')) requestRedetect();
+      persistOpenTransaction();
+    },
+    onEnd({ nowMs, meta, status, state }) {
+      const txn = currentTxn;
+      if (txn) {
+        txn.status = status || 'completed';
+        txn.state = state || null;
+        if (txn.status === 'timed_out') {
+          logger.warn('transaction closed after idle timeout', { ...labels, txnId: txn.txnId, lines: txn.lines.length });
+          metrics.incCounter('micromanager_transactions_timed_out_total', 1, labels);
+        }
+        txn.meta = { ...txn.meta, ...meta, terminal_id: channel.terminalId };
+        applyMetaToLines(txn);
+        const endNow = nowMs;
+        const finalized = finalizeTransaction(channel, txn, endNow);
+        finalizing.add(finalized);
+        finalized.finally(() => finalizing.delete(finalized));
+      }
+      currentTxn = null;
+      txnStore.clear();
+    },
+    onTransition({ event, from, to, txnId }) {
+      logger.debug('transaction state changed', { ...labels, event, from, to, txnId });
+    },
+    onParseError({ raw }) {
+      logger.warn('parser: unclassified line', { ...labels, line: raw });
+    },
+  });
 
-  if (!portPath) {
-    logger.warn('serial: no port detected, retrying in 5s');
-    setTimeout(startSerialLoop, 5000);
-    return;
+  // Every source hands raw chunks here: they are recorded (when capturing) and
+  // split into lines for the machine.
+  function createIngest() {
+    const splitter = createLineSplitter((line, nowMs) => machine.feed(line, nowMs), {
+      ...channel.framing,
+      onOverflow(length) {
+        metrics.incCounter('micromanager_line_overflows_total', 1, labels);
+        logger.warn('framing: no terminator within the maximum line length, splitting', { ...labels, length });
+      },
+    });
+    return {
+      push(chunk, nowMs = Date.now()) {
+        if (recorder) recorder.record(chunk, nowMs);
+        splitter.push(chunk, nowMs);
+      },
+      reset: splitter.reset,
+    };
   }
 
-  let buffer = '';
-  let reconnectTimer = null;
+  // A burst of unknown lines usually means the register's serial settings
+  // changed, so the port is reopened through detection.
+  function requestRedetect() {
+    logger.warn('serial: unknown-line rate spiked, detecting settings again', labels);
+    metrics.incCounter('micromanager_serial_redetections_total', 1, labels);
+    redetect = true;
+    activePort.close();
+  }
+
+  async function resolveSerialSettings(portPath) {
+    if (!channel.autoBaud) return { baudRate: channel.baud };
+    const saved = serialSettingsStore.load(name);
+    if (saved && !redetect) return saved;
+    redetect = false;
+    logger.info('serial: detecting baud rate and framing', { ...labels, port: portPath, candidates: SERIAL_CANDIDATES.length });
+    const detected = await detectSerialSettings({
+      path: portPath,
+      SerialPort,
+      candidates: SERIAL_CANDIDATES,
+      timestampPattern: parser.TS_RE || null,
+      sampleMs: SERIAL_PROBE_SECONDS * 1000,
+    }, logger);
+    if (!detected) {
+      logger.warn('serial: no data while detecting settings, keeping the previous ones', { ...labels, port: portPath });
+      return saved || { baudRate: channel.baud };
+    }
+    const { score, ...settings } = detected;
+    serialSettingsStore.save(name, settings);
+    logger.info('serial: locked in settings', { ...labels, port: portPath, ...settings, score });
+    return settings;
+  }
 
-  function scheduleReconnect() {
-    if (reconnectTimer) return;
-    reconnectTimer = setTimeout(() => {
-      reconnectTimer = null;
+  function retrySerialLoop() {
+    if (retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
       startSerialLoop();
     }, 5000);
   }
 
-  try {
-    const port = new SerialPort({ path: portPath, baudRate: SERIAL_BAUD, autoOpen: true });
-    logger.info('serial: opening port', { port: portPath, baud: SERIAL_BAUD });
+  // A serial device node appeared or vanished: skip the rest of the wait.
+  function wakeSerialLoop() {
+    if (!retryTimer) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    startSerialLoop();
+  }
 
-    port.on('open', () => {
-      logger.info('serial: port opened', { port: portPath });
-    });
+  async function openSerialPort() {
+    const portPath = channel.match
+      ? resolvePortIdentity(channel.match, { sysfsRoot: SERIAL_SYSFS_ROOT, devRoot: SERIAL_DEV_ROOT }, logger)
+      : await autoDetectSerialPort({
+        explicit: channel.path,
+        paths: multiPort ? [] : defaults.serial.paths,
+        prefix: defaults.serial.autoDetectPrefix,
+        scan: !multiPort,
+      }, logger);
+
+    if (!portPath) {
+      logger.warn('serial: no port detected, retrying in 5s', { ...labels, match: channel.match });
+      retrySerialLoop();
+      return;
+    }
 
-    port.on('data', (chunk) => {
-      buffer += chunk.toString('utf8');
-      const parts = buffer.split(/\r?\n/);
-      buffer = parts.pop();
-      parts.forEach((line) => {
-        if (line === '') return;
-        machine.feed(line, Date.now());
+    const settings = await resolveSerialSettings(portPath);
+    const ingest = createIngest();
+    let retried = false;
+
+    function scheduleReconnect() {
+      if (retried) return;
+      retried = true;
+      retrySerialLoop();
+    }
+
+    try {
+      const port = new SerialPort({ path: portPath, ...settings, autoOpen: true });
+      activePort = port;
+      unknownMonitor.reset();
+      logger.info('serial: opening port', { port: portPath, ...settings });
+
+      port.on('open', () => {
+        logger.info('serial: port opened', { port: portPath });
       });
-    });
 
-    port.on('close', () => {
-      logger.warn('serial: port closed', { port: portPath });
-      scheduleReconnect();
-    });
+      port.on('data', (chunk) => ingest.push(chunk));
+
+      port.on('close', () => {
+        if (activePort === port) activePort = null;
+        ingest.reset();
+        logger.warn('serial: port closed', { port: portPath });
+        scheduleReconnect();
+      });
 
-    port.on('error', (err) => {
-      logger.error('serial: error', { port: portPath, error: err.message });
+      port.on('error', (err) => {
+        logger.error('serial: error', { port: portPath, error: err.message });
+        scheduleReconnect();
+      });
+    } catch (err) {
+      logger.error('serial: failed to open port', { port: portPath, error: err.message });
       scheduleReconnect();
-    });
-  } catch (err) {
-    logger.error('serial: failed to open port', { port: portPath, error: err.message });
-    scheduleReconnect();
+    }
   }
-}
 
-async function processQueue() {
-  const job = queue.due();
-  if (!job) {
-    setTimeout(processQueue, 300);
-    return;
+  // Callers fire and forget this loop, so a failed detection must not escape
+  // as an unhandled rejection.
+  async function startSerialLoop() {
+    try {
+      await openSerialPort();
+    } catch (err) {
+      logger.error('serial: failed to start port, retrying in 5s', { ...labels, error: err.message });
+      retrySerialLoop();
+    }
   }
 
-  try {
-    const headers = { 'content-type': 'application/json', ...JSON.parse(job.headers || '{}') };
-    const start = Date.now();
-    await requestJson(job.url, { method: 'POST', body: job.body, headers });
-    const latency = Date.now() - start;
-    metrics.observeHistogram('micromanager_post_latency_ms', latency);
-    queue.mark(job.id, true);
-    metrics.setGauge('micromanager_queue_depth', queue.depth());
-    logger.info('queue: job delivered', { id: job.id, topic: job.topic, latency });
-    setImmediate(processQueue);
-  } catch (err) {
-    const responseBody = typeof err.body === 'string' ? err.body : null;
-    const responsePreview = responseBody && responseBody.length > 256
-      ? `${responseBody.slice(0, 256)}…`
-      : responseBody;
-
-    logger.warn('queue: job delivery failed', {
-      id: job.id,
-      topic: job.topic,
-      url: job.url,
-      tries: job.tries,
-      error: err.message,
-      status: err.status || null,
-      response_preview: responsePreview || null,
-    });
-    queue.mark(job.id, false);
-    setTimeout(processQueue, 1000);
+  function startTcpSource() {
+    const ingest = createIngest();
+    const options = {
+      host: channel.tcpHost || undefined,
+      port: channel.tcpPort,
+      onData: (chunk) => ingest.push(chunk),
+      onDisconnect: () => ingest.reset(),
+    };
+    if (channel.source === 'tcp-listen') return startTcpListener(options, logger);
+    return startTcpClient({
+      ...options,
+      minDelayMs: INGEST_RECONNECT_MIN_MS,
+      maxDelayMs: INGEST_RECONNECT_MAX_MS,
+    }, logger);
+  }
+
+  function startSource() {
+    if (channel.source === 'serial') return startSerialLoop();
+    return startTcpSource();
   }
+
+  return Object.assign(channel, {
+    machine,
+    txnStore,
+    restoreOpenTransaction,
+    startSerialLoop,
+    startSource,
+    wakeSource: wakeSerialLoop,
+    // Resolves once every ended transaction has had its summary queued.
+    drain: () => Promise.all([...finalizing]),
+    finalizeTransaction: (txn, nowMs) => finalizeTransaction(channel, txn, nowMs),
+  });
 }
 
+const channels = SERIAL_PORTS.length > 0
+  ? SERIAL_PORTS.map((port) => createChannel(port, { multiPort: true }))
+  : [createChannel()];
+
+const dispatcher = createDispatcher({
+  queue,
+  metrics,
+  send: requestJson,
+  concurrency: QUEUE_CONCURRENCY,
+  hostConcurrency: QUEUE_HOST_CONCURRENCY,
+  breaker: {
+    failureThreshold: QUEUE_BREAKER_FAILURES,
+    openMs: QUEUE_BREAKER_OPEN_MS,
+    maxOpenMs: QUEUE_BREAKER_MAX_OPEN_MS,
+  },
+  batchTopic: POST_LINES_AS_BATCH ? 'transaction_line' : null,
+  batchSize: QUEUE_BATCH_SIZE,
+  batchLingerMs: QUEUE_BATCH_LINGER_MS,
+  requestTimeoutMs: QUEUE_REQUEST_TIMEOUT_MS,
+  retryPolicy,
+}, logger);
+
 function bootstrap() {
-  startSerialLoop();
-  processQueue();
+  channels.forEach((channel) => {
+    channel.restoreOpenTransaction();
+    channel.startSource();
+  });
+  if (channels.some((channel) => channel.source === 'serial')) {
+    watchSerialDevices({
+      devRoot: SERIAL_DEV_ROOT,
+      onChange: () => channels.forEach((channel) => channel.wakeSource()),
+    }, logger);
+  }
+  dispatcher.start();
   setInterval(() => queue.enforceLimits(), 60 * 1000).unref();
+  if (TXN_IDLE_TIMEOUT_SECONDS > 0) {
+    setInterval(() => channels.forEach((channel) => channel.machine.checkIdle(Date.now())), 5 * 1000).unref();
+  }
 
   startHealthServer({
     queue,
     metrics,
+    dispatcher,
     version: VERSION,
     port: Number(process.env.HEALTH_PORT || defaults.server.port),
     host: process.env.HEALTH_HOST || defaults.server.host,
+    adminToken: process.env.HEALTH_ADMIN_TOKEN || defaults.server.adminToken,
   }, logger);
 }
 
@@ -389,11 +984,19 @@ if (require.main === module) {
   bootstrap();
 }
 
+const [primary] = channels;
+
 module.exports = {
   queue,
   metrics,
-  machine,
-  finalizeTransaction,
-  startSerialLoop,
+  dispatcher,
+  channels,
+  createChannel,
+  clockDrift: primary.clockDrift,
+  machine: primary.machine,
+  txnStore: primary.txnStore,
+  finalizeTransaction: primary.finalizeTransaction,
+  restoreOpenTransaction: primary.restoreOpenTransaction,
+  startSerialLoop: primary.startSerialLoop,
   bootstrap,
 };
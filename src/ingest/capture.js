@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^capture-(.+)-(\d{8}T\d{6}(?:\d{3})?Z)\.ndjson$/;
+
+function stampFor(nowMs) {
+  return new Date(nowMs).toISOString().replace(/[-:]/g, '').replace('.', '');
+}
+
+// Records raw chunks exactly as the register sent them (control bytes
+// included) as NDJSON records {"ts": epoch ms, "data": base64}. Files rotate
+// at fileBytes or fileAgeSeconds. On each rotation the channel's older files
+// are pruned, oldest first, past maxBytes in total or maxAgeSeconds in age.
+function createCaptureRecorder({
+  dir,
+  channel = 'default',
+  fileBytes = 5 * 1024 * 1024,
+  fileAgeSeconds = 3600,
+  maxBytes = 100 * 1024 * 1024,
+  maxAgeSeconds = 7 * 24 * 3600,
+}, logger = console) {
+  if (!dir) throw new Error('capture: a capture directory is required');
+  fs.mkdirSync(dir, { recursive: true });
+
+  let fd = null;
+  let filePath = null;
+  let fileSize = 0;
+  let openedAt = 0;
+
+  function captureFiles() {
+    return fs.readdirSync(dir)
+      .filter((name) => FILE_PATTERN.exec(name)?.[1] === channel)
+      .sort()
+      .map((name) => {
+        const full = path.join(dir, name);
+        const stat = fs.statSync(full);
+        return { path: full, size: stat.size, mtimeMs: stat.mtimeMs };
+      });
+  }
+
+  function prune(nowMs) {
+    const files = captureFiles().filter((file) => file.path !== filePath);
+    let total = files.reduce((sum, file) => sum + file.size, fileSize);
+    files.forEach((file) => {
+      if (total <= maxBytes && nowMs - file.mtimeMs <= maxAgeSeconds * 1000) return;
+      fs.unlinkSync(file.path);
+      total -= file.size;
+      logger.info?.('capture: pruned file', { file: file.path });
+    });
+  }
+
+  function closeFile() {
+    if (fd === null) return;
+    fs.closeSync(fd);
+    fd = null;
+  }
+
+  function rotate(nowMs) {
+    closeFile();
+    filePath = path.join(dir, `capture-${channel}-${stampFor(nowMs)}.ndjson`);
+    fd = fs.openSync(filePath, 'a');
+    fileSize = 0;
+    openedAt = nowMs;
+    prune(nowMs);
+  }
+
+  function record(chunk, nowMs = Date.now()) {
+    try {
+      if (fd === null || fileSize >= fileBytes || nowMs - openedAt >= fileAgeSeconds * 1000) rotate(nowMs);
+      const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'utf8');
+      const entry = `${JSON.stringify({ ts: nowMs, data: data.toString('base64') })}\n`;
+      fs.writeSync(fd, entry);
+      fileSize += Buffer.byteLength(entry);
+    } catch (err) {
+      logger.warn?.('capture: failed to record chunk', { channel, error: err.message });
+    }
+  }
+
+  return {
+    record,
+    close: closeFile,
+    get filePath() {
+      return filePath;
+    },
+  };
+}
+
+// Reads capture files back in timestamp order as { ts, data: Buffer } chunks.
+function readCapture(files) {
+  const chunks = [];
+  [].concat(files).forEach((file) => {
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+      if (line.trim() === '') return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`capture: ${file}:${index + 1} is not a capture record – ${err.message}`);
+      }
+      if (!Number.isFinite(entry.ts) || typeof entry.data !== 'string') {
+        throw new Error(`capture: ${file}:${index + 1} is not a capture record`);
+      }
+      chunks.push({ ts: entry.ts, data: Buffer.from(entry.data, 'base64') });
+    });
+  });
+  return chunks.sort((a, b) => a.ts - b.ts);
+}
+
+function parseReplaySpeed(value) {
+  if (value === undefined || value === null || value === '' || value === 'original') return 1;
+  if (value === 'max') return Infinity;
+  const factor = Number(value);
+  if (!Number.isFinite(factor) || factor <= 0) {
+    throw new Error(`capture: invalid replay speed "${value}" (expected original|max|<factor>)`);
+  }
+  return factor;
+}
+
+// Pushes recorded chunks back through onChunk with their original timestamps,
+// waiting the recorded gaps divided by speed (no waiting at Infinity).
+async function replayCapture(chunks, {
+  speed = 1,
+  onChunk,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+}) {
+  let previousTs = null;
+  for (const chunk of chunks) {
+    if (previousTs !== null && Number.isFinite(speed) && chunk.ts > previousTs) {
+      await sleep((chunk.ts - previousTs) / speed);
+    }
+    previousTs = chunk.ts;
+    onChunk(chunk.data, chunk.ts);
+  }
+  return chunks.length;
+}
+
+module.exports = { createCaptureRecorder, readCapture, parseReplaySpeed, replayCapture };
@@ -0,0 +1,114 @@
+const { CUT_RE } = require('../parser/escPos');
+
+// Named terminators. An ESC/POS cut stays on the line it ends so the escpos
+// dialect still sees the paper cut that closes its transaction.
+const PRESETS = {
+  newline: { pattern: /\r?\n/, keep: false },
+  cr: { pattern: /\r/, keep: false },
+  formfeed: { pattern: /\f/, keep: false },
+  escpos_cut: { pattern: CUT_RE, keep: true },
+};
+
+function escapeByte(value) {
+  const byte = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isInteger(byte) || byte < 0 || byte > 255) {
+    throw new Error(`framing: invalid terminator byte "${value}" (expected 0-255 or 0x00-0xff)`);
+  }
+  return `\\x${byte.toString(16).padStart(2, '0')}`;
+}
+
+// Accepts preset names, {"regex": "..."} and {"byte": 12 | "0x0c"}; objects
+// may set "keep": true to leave the terminator on the emitted line.
+function compileTerminators(specs = ['newline']) {
+  if (!Array.isArray(specs) || specs.length === 0) throw new Error('framing: at least one line terminator is required');
+  return specs.map((spec) => {
+    if (typeof spec === 'string') {
+      if (!PRESETS[spec]) throw new Error(`framing: unknown terminator "${spec}" (expected ${Object.keys(PRESETS).join('|')}, {"regex"} or {"byte"})`);
+      return PRESETS[spec];
+    }
+    const keep = Boolean(spec?.keep);
+    if (spec?.regex !== undefined) {
+      try {
+        return { pattern: new RegExp(spec.regex), keep };
+      } catch (err) {
+        throw new Error(`framing: invalid terminator regex "${spec.regex}" – ${err.message}`);
+      }
+    }
+    if (spec?.byte !== undefined) return { pattern: new RegExp(escapeByte(spec.byte)), keep };
+    throw new Error(`framing: invalid terminator ${JSON.stringify(spec)}`);
+  });
+}
+
+function earliestMatch(buffer, terminators) {
+  let best = null;
+  terminators.forEach(({ pattern, keep }) => {
+    const match = pattern.exec(buffer);
+    if (!match || match[0] === '') return;
+    if (!best || match.index < best.index || (match.index === best.index && match[0].length > best.length)) {
+      best = { index: match.index, length: match[0].length, keep };
+    }
+  });
+  return best;
+}
+
+// Turns a byte stream (serial or TCP) into journal lines. A trailing fragment
+// is flushed as a line once the stream has been quiet for idleFlushMs, and a
+// buffer that reaches maxLineLength without a terminator is cut there. A
+// partial line left when the stream drops is discarded by reset().
+function createLineSplitter(onLine, {
+  terminators = compileTerminators(),
+  idleFlushMs = 0,
+  maxLineLength = 0,
+  onOverflow,
+} = {}) {
+  let buffer = '';
+  let lastChunkMs = null;
+  let idleTimer = null;
+
+  function emit(line, nowMs) {
+    if (line === '') return;
+    onLine(line, nowMs);
+  }
+
+  function flush(nowMs = lastChunkMs ?? Date.now()) {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    const line = buffer;
+    buffer = '';
+    emit(line, nowMs);
+  }
+
+  function push(chunk, nowMs = Date.now()) {
+    buffer += chunk.toString('utf8');
+    lastChunkMs = nowMs;
+    let match = earliestMatch(buffer, terminators);
+    while (match) {
+      const end = match.index + match.length;
+      emit(buffer.slice(0, match.keep ? end : match.index), nowMs);
+      buffer = buffer.slice(end);
+      match = earliestMatch(buffer, terminators);
+    }
+    while (maxLineLength > 0 && buffer.length >= maxLineLength) {
+      if (typeof onOverflow === 'function') onOverflow(maxLineLength);
+      emit(buffer.slice(0, maxLineLength), nowMs);
+      buffer = buffer.slice(maxLineLength);
+    }
+
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    if (idleFlushMs > 0 && buffer !== '') {
+      idleTimer = setTimeout(() => flush(), idleFlushMs);
+      idleTimer.unref?.();
+    }
+  }
+
+  function reset() {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    buffer = '';
+  }
+
+  return { push, flush, reset };
+}
+
+module.exports = { createLineSplitter, compileTerminators };
@@ -0,0 +1,126 @@
+const net = require('net');
+
+// Connects out to a networked serial server (ser2net, Moxa NPort, …) and
+// reconnects with exponential backoff whenever the connection drops or fails.
+function startTcpClient({
+  host,
+  port,
+  onData,
+  onDisconnect,
+  minDelayMs = 1000,
+  maxDelayMs = 30000,
+  connectTimeoutMs = 10000,
+}, logger = console) {
+  let socket = null;
+  let reconnectTimer = null;
+  let delayMs = minDelayMs;
+  let stopped = false;
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    logger.warn?.('tcp: reconnecting', { host, port, delay_ms: delayMs });
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delayMs);
+    delayMs = Math.min(delayMs * 2, maxDelayMs);
+  }
+
+  function connect() {
+    socket = net.createConnection({ host, port });
+    socket.setTimeout(connectTimeoutMs);
+
+    socket.on('connect', () => {
+      delayMs = minDelayMs;
+      // Registers can sit idle for hours; only the connect attempt times out.
+      socket.setTimeout(0);
+      socket.setKeepAlive(true, 30000);
+      logger.info?.('tcp: connected', { host, port });
+    });
+
+    socket.on('data', (chunk) => onData(chunk));
+
+    socket.on('timeout', () => {
+      socket.destroy(new Error('connect timed out'));
+    });
+
+    socket.on('error', (err) => {
+      logger.error?.('tcp: connection error', { host, port, error: err.message });
+    });
+
+    socket.on('close', () => {
+      socket = null;
+      if (typeof onDisconnect === 'function') onDisconnect();
+      scheduleReconnect();
+    });
+  }
+
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (socket) socket.destroy();
+    },
+  };
+}
+
+// Accepts a stream pushed by the serial server. One sender feeds a channel, so
+// a new connection replaces the previous one.
+function startTcpListener({
+  host = '0.0.0.0',
+  port,
+  onData,
+  onDisconnect,
+}, logger = console) {
+  let current = null;
+
+  const server = net.createServer((socket) => {
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    if (current) {
+      logger.warn?.('tcp: replacing previous sender', { port, remote });
+      current.destroy();
+      // The old socket's close is ignored once it is replaced, so drop its
+      // partial line here rather than prefixing the new sender's first line.
+      if (typeof onDisconnect === 'function') onDisconnect();
+    }
+    current = socket;
+    socket.setKeepAlive(true, 30000);
+    logger.info?.('tcp: sender connected', { port, remote });
+
+    socket.on('data', (chunk) => {
+      if (current === socket) onData(chunk);
+    });
+
+    socket.on('error', (err) => {
+      logger.error?.('tcp: sender error', { port, remote, error: err.message });
+    });
+
+    socket.on('close', () => {
+      if (current !== socket) return;
+      current = null;
+      logger.warn?.('tcp: sender disconnected', { port, remote });
+      if (typeof onDisconnect === 'function') onDisconnect();
+    });
+  });
+
+  server.on('error', (err) => {
+    logger.error?.('tcp: listener error', { host, port, error: err.message });
+  });
+
+  server.listen(port, host, () => {
+    logger.info?.('tcp: listening', { host, port: server.address().port });
+  });
+
+  return {
+    server,
+    stop(callback) {
+      if (current) current.destroy();
+      server.close(callback);
+    },
+  };
+}
+
+module.exports = { startTcpClient, startTcpListener };
@@ -0,0 +1,145 @@
+/* eslint-disable no-control-regex */
+
+// Paper cut commands: GS V m [n], plus the legacy ESC i / ESC m partial cuts
+const CUT_RE = /\x1dV(?:[\x41\x42][\s\S]|[\s\S])|\x1b[im]/;
+
+const AMOUNT = String.raw`\$?(?<amount>-?\d+\.\d{2})`;
+
+const RE = {
+  TXN_HEADER: /\b(?:STORE|ST)\b\s*#?\s*:?\s*(?<store>\w+)?.*?\b(?:TRANS(?:ACTION)?|TXN|RECEIPT)\s*(?:#|NO\.?|:)\s*:?\s*(?<txn>\d+)/i,
+  TXN_NUMBER: /^(?:TRANS(?:ACTION)?|TXN|RECEIPT)\s*(?:#|NO\.?|:)\s*:?\s*(?<txn>\d+)/i,
+  SUBTOTAL: new RegExp(`^SUB\\s*-?\\s*TOTAL\\s+${AMOUNT}$`, 'i'),
+  TAX: new RegExp(`^(?:SALES\\s+)?TAX\\s+${AMOUNT}$`, 'i'),
+  TOTAL: new RegExp(`^TOTAL(?:\\s+DUE)?\\s+${AMOUNT}$`, 'i'),
+  CASH: new RegExp(`^CASH(?:\\s+TENDERED)?\\s+${AMOUNT}$`, 'i'),
+  CREDIT: new RegExp(`^(?:CREDIT|VISA|MASTERCARD|AMEX|DISCOVER)(?:\\s+CARD)?\\s+${AMOUNT}$`, 'i'),
+  DEBIT: new RegExp(`^DEBIT(?:\\s+CARD)?\\s+${AMOUNT}$`, 'i'),
+  EBT: new RegExp(`^(?:EBT(?:\\s+(?:FOOD|FS|SNAP|CASH))?|FOOD\\s*STAMPS?)\\s+${AMOUNT}$`, 'i'),
+  GIFT_CARD: new RegExp(`^GIFT(?:\\s*(?:CARD|CRD|CERT(?:IFICATE)?))?\\s+${AMOUNT}$`, 'i'),
+  CHECK: new RegExp(`^(?:CHECK|CHEQUE)\\s+${AMOUNT}$`, 'i'),
+  MOBILE: new RegExp(`^(?:MOBILE(?:\\s+PAY)?|APPLE\\s*PAY|GOOGLE\\s*PAY|SAMSUNG\\s*PAY|PAYPAL|VENMO)\\s+${AMOUNT}$`, 'i'),
+  CHANGE: new RegExp(`^CHANGE(?:\\s+DUE)?\\s+${AMOUNT}$`, 'i'),
+  DISCOUNT: new RegExp(`^(?<desc>(?:.*\\s)?(?:DISCOUNT|SAVINGS)\\b.*?)\\s+${AMOUNT}$`, 'i'),
+  COUPON: new RegExp(`^(?<desc>(?:.*\\s)?(?:COUPON|CPN)\\b.*?)\\s+${AMOUNT}$`, 'i'),
+  ITEM: new RegExp(`^(?:(?<qty>\\d+)\\s*[xX@]\\s+)?(?<desc>.+?)\\s+${AMOUNT}(?:\\s+(?<taxClass>[A-Z]{1,2}))?$`),
+  IGNORE: /^(?:THANK YOU|[-=*_\s]+$)/i,
+  // Store name, address, phone, date and register lines around the items
+  RECEIPT_INFO: new RegExp([
+    String.raw`^[A-Z][A-Z&'.,\- ]*$`,
+    String.raw`^\d+\s+.*\b(?:ST|STREET|AVE|AVENUE|RD|ROAD|BLVD|DR|DRIVE|HWY|HIGHWAY|LN|LANE|WAY|PKWY|CT|PLAZA)\b\.?`,
+    String.raw`,\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?$`,
+    String.raw`\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b`,
+    String.raw`\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b`,
+    String.raw`\b\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM)?$`,
+    String.raw`^(?:REG(?:ISTER)?|TERM(?:INAL)?|LANE|CASHIER|CLERK|OPERATOR|SERVER|TEL|PHONE)\b`,
+  ].join('|'), 'i'),
+};
+
+function clean(raw) {
+  if (!raw) return '';
+  return raw
+    .replace(/\x1b@/g, '')
+    .replace(/\x1bp[\s\S]{3}/g, '')
+    .replace(/\x1b[!EGMJadt\-{][\s\S]/g, '')
+    .replace(/\x1d[LW][\s\S]{2}/g, '')
+    .replace(/\x1d[!BHhwfb][\s\S]/g, '')
+    .replace(new RegExp(CUT_RE.source, 'g'), '')
+    .replace(/[^\x20-\x7E\r\n]/g, '');
+}
+
+function isCut(raw) {
+  return Boolean(raw) && CUT_RE.test(raw);
+}
+
+// Text around a cut is its own line: what precedes it ends this receipt and
+// what follows it is the first line of the next one.
+function splitMashedEnd(raw) {
+  if (!isCut(raw)) return null;
+  const parts = [];
+  let rest = raw;
+  let match = rest.match(CUT_RE);
+  while (match) {
+    const before = clean(rest.slice(0, match.index)).trim();
+    if (before) parts.push(before);
+    parts.push(match[0]);
+    rest = rest.slice(match.index + match[0].length);
+    match = rest.match(CUT_RE);
+  }
+  const after = clean(rest).trim();
+  if (after) parts.push(after);
+  return parts.length > 1 ? parts : null;
+}
+
+function classify(raw) {
+  if (isCut(raw)) return { type: 'cut', line: clean(raw).trim(), desc: 'PAPER CUT' };
+  const line = clean(raw).trim();
+  if (!line) return { type: 'empty', line };
+  if (RE.IGNORE.test(line)) return { type: 'ignore', line };
+  const mHeader = line.match(RE.TXN_HEADER) || line.match(RE.TXN_NUMBER);
+  if (mHeader) {
+    return { type: 'receipt_header', line, store: mHeader.groups.store, txn: mHeader.groups.txn };
+  }
+  const mSub = line.match(RE.SUBTOTAL);
+  if (mSub) return { type: 'subtotal', line, amount: Number(mSub.groups.amount) };
+  const mTax = line.match(RE.TAX);
+  if (mTax) return { type: 'tax', line, amount: Number(mTax.groups.amount) };
+  const mTot = line.match(RE.TOTAL);
+  if (mTot) return { type: 'total', line, amount: Number(mTot.groups.amount) };
+  const mCash = line.match(RE.CASH);
+  if (mCash) return { type: 'cash', line, amount: Number(mCash.groups.amount) };
+  const mCredit = line.match(RE.CREDIT);
+  if (mCredit) return { type: 'credit', line, amount: Number(mCredit.groups.amount) };
+  const mDebit = line.match(RE.DEBIT);
+  if (mDebit) return { type: 'debit', line, amount: Number(mDebit.groups.amount) };
+  const mEbt = line.match(RE.EBT);
+  if (mEbt) return { type: 'ebt', line, amount: Number(mEbt.groups.amount) };
+  const mGift = line.match(RE.GIFT_CARD);
+  if (mGift) return { type: 'gift_card', line, amount: Number(mGift.groups.amount) };
+  const mCheck = line.match(RE.CHECK);
+  if (mCheck) return { type: 'check', line, amount: Number(mCheck.groups.amount) };
+  const mMobile = line.match(RE.MOBILE);
+  if (mMobile) return { type: 'mobile', line, amount: Number(mMobile.groups.amount) };
+  const mChange = line.match(RE.CHANGE);
+  if (mChange) return { type: 'change', line, amount: Number(mChange.groups.amount) };
+  const mDiscount = line.match(RE.DISCOUNT);
+  if (mDiscount) return { type: 'discount', line, desc: mDiscount.groups.desc.trim(), amount: Number(mDiscount.groups.amount) };
+  const mCoupon = line.match(RE.COUPON);
+  if (mCoupon) return { type: 'coupon', line, desc: mCoupon.groups.desc.trim(), amount: Number(mCoupon.groups.amount) };
+  const mItem = line.match(RE.ITEM);
+  if (mItem) {
+    const qty = mItem.groups.qty !== undefined ? Number(mItem.groups.qty) : 1;
+    const amount = Number(mItem.groups.amount);
+    return {
+      type: 'item',
+      line,
+      desc: mItem.groups.desc.trim(),
+      taxClass: mItem.groups.taxClass || null,
+      qty,
+      unitPrice: qty ? Number((amount / qty).toFixed(2)) : null,
+      amount,
+    };
+  }
+  if (RE.RECEIPT_INFO.test(line)) return { type: 'receipt_info', line };
+  return { type: 'unknown', line };
+}
+
+// The receipt header is printed first, so any printed content opens a
+// transaction; the paper cut closes it.
+function startsTransaction(c) {
+  return c.type !== 'cut' && c.type !== 'empty' && c.type !== 'ignore';
+}
+
+function endsTransaction(c) {
+  return c.type === 'cut';
+}
+
+module.exports = {
+  name: 'escpos',
+  clean,
+  splitMashedEnd,
+  classify,
+  startsTransaction,
+  endsTransaction,
+  RE,
+  CUT_RE,
+};
@@ -0,0 +1,34 @@
+const verifoneCommander = require('./verifoneCommander');
+const escPos = require('./escPos');
+
+const DEFAULT_POS_TYPE = 'verifone_commander';
+const REQUIRED_HOOKS = ['clean', 'classify', 'splitMashedEnd', 'startsTransaction', 'endsTransaction'];
+
+const parsers = new Map();
+
+function registerParser(posType, parser) {
+  if (!posType) throw new Error('parser: posType is required');
+  const missing = REQUIRED_HOOKS.filter((hook) => typeof parser?.[hook] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`parser: ${posType} is missing ${missing.join(', ')}`);
+  }
+  parsers.set(posType, parser);
+  return parser;
+}
+
+function getParser(posType = DEFAULT_POS_TYPE) {
+  const parser = parsers.get(posType || DEFAULT_POS_TYPE);
+  if (!parser) {
+    throw new Error(`parser: unknown posType "${posType}" (available: ${listParsers().join(', ')})`);
+  }
+  return parser;
+}
+
+function listParsers() {
+  return [...parsers.keys()];
+}
+
+registerParser(verifoneCommander.name, verifoneCommander);
+registerParser(escPos.name, escPos);
+
+module.exports = { registerParser, getParser, listParsers, DEFAULT_POS_TYPE };
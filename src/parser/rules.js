@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const FIELD_TYPES = ['string', 'number'];
+const TRANSFORMS = {
+  trim: (value) => value.trim(),
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  collapse: (value) => value.trim().replace(/\s+/g, ' '),
+};
+
+function groupNames(regex) {
+  return [...regex.source.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map((m) => m[1]);
+}
+
+function ruleLabel(source, index, def) {
+  const name = def && typeof def.name === 'string' ? ` "${def.name}"` : '';
+  return `parser rules (${source}): rule #${index + 1}${name}`;
+}
+
+function compileField(label, fieldName, spec, groups) {
+  const field = typeof spec === 'string' ? { group: spec } : spec;
+  if (!field || typeof field !== 'object') {
+    throw new Error(`${label}: field "${fieldName}" must be a group name or an object`);
+  }
+  if (field.group === undefined && field.template === undefined && !('value' in field)) {
+    throw new Error(`${label}: field "${fieldName}" needs one of group, template or value`);
+  }
+  if (field.group !== undefined && !groups.includes(field.group)) {
+    throw new Error(`${label}: field "${fieldName}" references unknown group "${field.group}"`);
+  }
+  if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+    throw new Error(`${label}: field "${fieldName}" has invalid type "${field.type}" (expected ${FIELD_TYPES.join('|')})`);
+  }
+  const transform = field.transform === undefined ? [] : [].concat(field.transform);
+  transform.forEach((name) => {
+    if (!TRANSFORMS[name]) {
+      throw new Error(`${label}: field "${fieldName}" has unknown transform "${name}"`);
+    }
+  });
+  return { ...field, name: fieldName, transform };
+}
+
+function compileRule(def, index, source = 'built-in') {
+  const label = ruleLabel(source, index, def);
+  if (!def || typeof def !== 'object') throw new Error(`${label}: rule must be an object`);
+  if (!def.type || typeof def.type !== 'string') throw new Error(`${label}: type is required`);
+
+  let regex;
+  if (def.pattern instanceof RegExp) {
+    regex = def.pattern;
+  } else if (typeof def.pattern === 'string' && def.pattern) {
+    try {
+      regex = new RegExp(def.pattern, def.flags || '');
+    } catch (err) {
+      throw new Error(`${label}: pattern is invalid – ${err.message}`);
+    }
+  } else {
+    throw new Error(`${label}: pattern is required`);
+  }
+
+  const priority = def.priority === undefined ? 500 : def.priority;
+  if (!Number.isFinite(priority)) throw new Error(`${label}: priority must be a number`);
+
+  const groups = groupNames(regex);
+  const fields = Object.entries(def.fields || {}).map(([name, spec]) => compileField(label, name, spec, groups));
+
+  return { name: def.name || def.type, type: def.type, regex, priority, fields, source, index };
+}
+
+function sortRules(rules) {
+  return [...rules].sort((a, b) => a.priority - b.priority
+    || (a.source === b.source ? a.index - b.index : (a.source === 'built-in' ? -1 : 1)));
+}
+
+function compileRules(defs, source = 'built-in') {
+  if (!Array.isArray(defs)) throw new Error(`parser rules (${source}): rules must be an array`);
+  return sortRules(defs.map((def, index) => compileRule(def, index, source)));
+}
+
+function fieldValue(field, groups, out) {
+  if ('value' in field) return field.value;
+  let value = field.template !== undefined
+    ? field.template.replace(/\{(\w+)\}/g, (_, key) => (out[key] ?? groups[key] ?? ''))
+    : groups[field.group];
+  if (value === undefined || value === null) return field.default;
+  value = field.transform.reduce((acc, name) => TRANSFORMS[name](acc), String(value));
+  if (field.type === 'number') {
+    const num = Number(value.replace(/[$,]/g, ''));
+    return Number.isFinite(num) ? num : field.default;
+  }
+  return value;
+}
+
+function applyRule(rule, line) {
+  const match = line.match(rule.regex);
+  if (!match) return null;
+  const groups = match.groups || {};
+  const out = { type: rule.type, line };
+  rule.fields.forEach((field) => {
+    const value = fieldValue(field, groups, out);
+    if (value !== undefined) out[field.name] = value;
+  });
+  return out;
+}
+
+function makeRuleClassifier({ clean, rules, annotate = (c) => c }) {
+  return function classify(raw) {
+    const line = clean(raw).trim();
+    if (!line) return { type: 'empty', line };
+    for (const rule of rules) {
+      const c = applyRule(rule, line);
+      if (c) return annotate(c);
+    }
+    return annotate({ type: 'unknown', line });
+  };
+}
+
+function parseRuleFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') {
+    try {
+      return yaml.load(text);
+    } catch (err) {
+      throw new Error(`parser rules (${filePath}): invalid YAML – ${err.message}`);
+    }
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`parser rules (${filePath}): invalid JSON – ${err.message}`);
+  }
+}
+
+function loadRuleFile(filePath) {
+  const doc = parseRuleFile(filePath);
+  const defs = Array.isArray(doc) ? doc : doc?.rules;
+  return {
+    posType: doc?.posType || null,
+    replaceDefaults: Boolean(doc?.replaceDefaults),
+    rules: compileRules(defs, filePath),
+  };
+}
+
+// Merges file rules into a parser's built-in table by priority. Dialects
+// without a rule table fall back to their own classify when no rule matches.
+function withRules(parser, { rules, replaceDefaults = false }) {
+  const merged = sortRules([...(replaceDefaults ? [] : (parser.rules || [])), ...rules]);
+  const ruleClassify = makeRuleClassifier({ clean: parser.clean, rules: merged, annotate: parser.annotate });
+  const classify = parser.rules
+    ? ruleClassify
+    : (raw) => {
+      const c = ruleClassify(raw);
+      return c.type === 'unknown' || c.type === 'empty' ? parser.classify(raw) : c;
+    };
+  return { ...parser, rules: merged, classify };
+}
+
+module.exports = { compileRules, makeRuleClassifier, loadRuleFile, withRules };
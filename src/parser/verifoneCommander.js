@@ -1,10 +1,16 @@
 /* eslint-disable no-control-regex */
-const TS_RE = /\b\d{2}\/\d{2}\/\d{2}\s+\d{2}:\d{2}:\d{2}\b/g;
+const { compileRules, makeRuleClassifier } = require('./rules');
+
+// Lookbehind instead of \b: mashed lines glue the next timestamp straight
+// onto the previous text ("OVERRIDE07/23/25 ...").
+const TS_RE = /(?<![\d/])\d{2}\/\d{2}\/\d{2}\s+\d{2}:\d{2}:\d{2}\b/g;
 
 // Some lines include a timestamp + terminal id before the keyword
 const TS_PREFIX = String.raw`(?:\d{2}\/\d{2}\/\d{2}\s+\d{2}:\d{2}:\d{2}\s+\d+\s+)?`;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 const RE = {
+  LINE_PREFIX: /^(?<date>\d{2}\/\d{2}\/\d{2})\s+(?<time>\d{2}:\d{2}:\d{2})\s+(?<register>\d+)\b/,
   END_HEADER: /\bST#(?<store>\S+)\s+DR#(?<drawer>\S+)\s+TRAN#(?<txn>\d+)/,
   CASHIER: /\bCSH:\s*(?<cashier>[A-Z0-9 .'-]+)/,
   TOTAL: new RegExp(`^${TS_PREFIX}TOTAL\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
@@ -12,8 +18,37 @@ const RE = {
   DEBIT: new RegExp(`^${TS_PREFIX}DEBIT\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
   CREDIT: new RegExp(`^${TS_PREFIX}CREDIT\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
   PREAUTH: new RegExp(`^${TS_PREFIX}PREAUTH\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  EBT: new RegExp(`^${TS_PREFIX}(?:EBT(?:\\s+(?:FOOD|FS|SNAP|CASH))?|FOOD\\s*STAMPS?)\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  GIFT_CARD: new RegExp(`^${TS_PREFIX}GIFT(?:\\s*(?:CARD|CRD|CERT(?:IFICATE)?))?\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  CHECK: new RegExp(`^${TS_PREFIX}(?:CHECK|CHEQUE)\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  MOBILE: new RegExp(`^${TS_PREFIX}(?:MOBILE(?:\\s+PAY)?|APPLE\\s*PAY|GOOGLE\\s*PAY|SAMSUNG\\s*PAY|PAYPAL|VENMO)\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  SUBTOTAL: new RegExp(`^${TS_PREFIX}SUB\\s*-?\\s*TOTAL\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  TAX: new RegExp(`^${TS_PREFIX}(?:SALES\\s+)?TAX\\s*(?<taxId>\\d)?\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  CHANGE: new RegExp(`^${TS_PREFIX}CHANGE(?:\\s+DUE)?\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  DISCOUNT: new RegExp(`^${TS_PREFIX}(?:[A-Z]{1,2}\\s+)?(?<desc>(?:.*\\s)?DISCOUNT\\b.*?)(?:\\s+(?<qty>-?\\d+(?:\\.\\d+)?))?\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  COUPON: new RegExp(`^${TS_PREFIX}(?:[A-Z]{1,2}\\s+)?(?<desc>(?:.*\\s)?(?:COUPON|CPN)\\b.*?)(?:\\s+(?<qty>-?\\d+(?:\\.\\d+)?))?\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
   AGE_VERIFICATION: new RegExp(`^${TS_PREFIX}DOB Verification:\\s+(?<result>[A-Z ]+?)(?:\\s+Trans#(?<transaction>\\d+))?\\s*$`, 'i'),
-  ITEM: /^(?<desc>.+?)\s+(?<qty>-?\d+(?:\.\d+)?)\s+(?<amount>-?\d+(?:\.\d{1,2})?)$/,
+  DOB_ENTRY: new RegExp(`^${TS_PREFIX}(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)\\s+(?<month>${MONTHS.join('|')})\\s+(?<day>\\d{1,2})\\s+\\d{2}:\\d{2}:\\d{2}\\s+(?:[A-Z]{2,5}\\s+)?(?<year>\\d{4})\\s*$`),
+  MANUAL_OVERRIDE: new RegExp(`^${TS_PREFIX}(?:Trans#(?<transaction>\\d+)\\s+)?MANUAL ENTRY OVERRIDE\\s*$`, 'i'),
+  ERROR_CORRECT_START: new RegExp(`^${TS_PREFIX}\\*+\\s*ERROR CORRECT\\s*\\*+\\s*$`),
+  ERROR_CORRECT_END: new RegExp(`^${TS_PREFIX}ERROR CORRECT\\s*$`),
+  ERROR_CORRECT: new RegExp(`^${TS_PREFIX}(?<desc>.+?)\\s+ERROR CORR(?:ECT)?\\s*$`),
+  SEPARATOR: new RegExp(`^${TS_PREFIX}[*=-]+\\s*$`),
+  VOID_TRANSACTION: new RegExp(`^${TS_PREFIX}VOID\\s+(?:TICKET|TRANSACTION|TRANS)\\s*#?\\s*(?<transaction>\\d+)?(?:\\s+(?<amount>-?\\d+\\.\\d{2}))?\\s*$`),
+  VOID_START: new RegExp(`^${TS_PREFIX}VOID(?:\\s+(?:LINE|ITEM))?\\s*$`),
+  VOID: new RegExp(`^${TS_PREFIX}VOID(?:ED)?\\s+(?:LINE\\s+|ITEM\\s+)?(?<desc>.+?)\\s+(?<qty>-?\\d+(?:\\.\\d+)?)\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  REFUND: new RegExp(`^${TS_PREFIX}REFUND(?:\\s+(?<desc>.+?))?\\s+(?<qty>-?\\d+(?:\\.\\d+)?)\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  REFUND_AMOUNT: new RegExp(`^${TS_PREFIX}REFUND\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  NO_SALE: new RegExp(`^${TS_PREFIX}NO\\s*SALE\\b`),
+  SUSPEND: new RegExp(`^${TS_PREFIX}TRANSACTION\\s+SUSPENDED\\s*#?\\s*(?<transaction>\\d+)?\\s*$`),
+  RECALL: new RegExp(`^${TS_PREFIX}TRANSACTION\\s+RECALLED\\s*#?\\s*(?<transaction>\\d+)?\\s*$`),
+  CANCEL: new RegExp(`^${TS_PREFIX}(?:TRANSACTION\\s+)?CANCEL(?:L?ED)?(?:\\s+(?:TRANS(?:ACTION)?|SALE))?(?:\\s*#\\s*(?<transaction>\\d+))?(?:\\s+(?<amount>-?\\d+\\.\\d{2}))?\\s*$`),
+  FUEL_PREPAY: new RegExp(`^${TS_PREFIX}(?:[A-Z]{1,2}\\s{2,})?PREPAY\\s+(?:(?<fuelTender>[A-Z]{2,3})\\s*)?#\\s*(?<pump>\\d+)\\s+(?<qty>-?\\d+)\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  FUEL_POSTPAY: new RegExp(`^${TS_PREFIX}(?:[A-Z]{1,2}\\s{2,})?(?:POSTPAY|FUEL|PUMP)\\s+(?:(?<grade>[A-Z][A-Z ]*?)\\s*)?#\\s*(?<pump>\\d+)\\s+(?<qty>-?\\d+(?:\\.\\d+)?)\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)\\s*$`),
+  FUEL_GRADE: new RegExp(`^${TS_PREFIX}(?<grade>REGULAR|UNLEADED|UNL|PLUS|MIDGRADE|MID|PREMIUM|PREM|SUPER|DIESEL|E85|KEROSENE)\\b(?:\\s*#\\s*(?<pump>\\d+))?\\s+(?<gallons>\\d+\\.\\d{2,3})\\s*(?:G|GAL|GALLONS)\\b(?:\\s*@\\s*\\$?(?<pricePerGallon>\\d+\\.\\d{2,3}))?(?:\\s+(?<amount>-?\\d+\\.\\d{2}))?\\s*$`),
+  // `102 L  Monster Blue Hawaiia   1   3.49`: optional tax-class code (L, H, HL)
+  // separated by two or more spaces, then an optional department or PLU/UPC.
+  ITEM: new RegExp(`^${TS_PREFIX}(?:(?<taxClass>[A-Z]{1,2})\\s{2,})?(?:(?:DEPT|DPT)\\s*#?\\s*(?<department>\\d+)\\s+)?(?:(?<plu>\\d{5,14})\\s+)?(?<desc>.+?)\\s+(?<qty>-?\\d+(?:\\.\\d+)?)(?:\\s*@\\s*(?<unitPrice>\\d+(?:\\.\\d{1,3})?))?\\s+(?<amount>-?\\d+(?:\\.\\d{1,2})?)$`),
   IGNORE: /^ALARM\b/i,
 };
 
@@ -43,52 +78,247 @@ function splitMashedEnd(raw) {
   }
   const matches = [...s.matchAll(TS_RE)].map(m => m.index);
   if (matches.length >= 2) {
-    const idx = matches[1];
-    return [s.slice(0, idx).trim(), s.slice(idx).trim()];
+    const bounds = [0, ...matches.slice(1), s.length];
+    return bounds.slice(0, -1).map((start, i) => s.slice(start, bounds[i + 1]).trim());
   }
   return null;
 }
 
-function classify(raw) {
-  const line = clean(raw).trim();
-  if (!line) return { type: 'empty', line };
-  if (RE.IGNORE.test(line)) return { type: 'ignore', line };
-  const mHeader = line.match(RE.END_HEADER);
-  if (mHeader) return { type: 'end_header', line, ...mHeader.groups };
-  const mCsh = line.match(RE.CASHIER);
-  if (mCsh) return { type: 'cashier', line, cashier: mCsh.groups.cashier };
-  const mTot = line.match(RE.TOTAL);
-  if (mTot) return { type: 'total', line, amount: Number(mTot.groups.amount) };
-  const mCash = line.match(RE.CASH);
-  if (mCash) return { type: 'cash', line, amount: Number(mCash.groups.amount) };
-  const mDebit = line.match(RE.DEBIT);
-  if (mDebit) return { type: 'debit', line, amount: Number(mDebit.groups.amount) };
-  const mCredit = line.match(RE.CREDIT);
-  if (mCredit) return { type: 'credit', line, amount: Number(mCredit.groups.amount) };
-  const mPreauth = line.match(RE.PREAUTH);
-  if (mPreauth) return { type: 'preauth', line, amount: Number(mPreauth.groups.amount) };
-  const mAge = line.match(RE.AGE_VERIFICATION);
-  if (mAge) {
-    const result = mAge.groups.result.trim().replace(/\s+/g, ' ').toUpperCase();
-    return {
-      type: 'age_verification',
-      line,
-      desc: 'DOB Verification: ' + result,
-      status: result,
-      transactionNumber: mAge.groups.transaction || null,
-    };
+const AMOUNT_FIELD = { amount: { group: 'amount', type: 'number' } };
+
+// Built-in rule table; rule files from config are merged in by priority
+// (lowest first), so custom rules can slot in ahead of the ITEM catch-all.
+const RULES = compileRules([
+  { name: 'ignore', type: 'ignore', pattern: RE.IGNORE, priority: 10 },
+  { name: 'end_header', type: 'end_header', pattern: RE.END_HEADER, priority: 20, fields: { store: 'store', drawer: 'drawer', txn: 'txn' } },
+  { name: 'cashier', type: 'cashier', pattern: RE.CASHIER, priority: 30, fields: { cashier: 'cashier' } },
+  { name: 'total', type: 'total', pattern: RE.TOTAL, priority: 40, fields: AMOUNT_FIELD },
+  { name: 'subtotal', type: 'subtotal', pattern: RE.SUBTOTAL, priority: 41, fields: AMOUNT_FIELD },
+  { name: 'tax', type: 'tax', pattern: RE.TAX, priority: 42, fields: { taxId: { group: 'taxId', default: null }, ...AMOUNT_FIELD } },
+  { name: 'change', type: 'change', pattern: RE.CHANGE, priority: 43, fields: AMOUNT_FIELD },
+  { name: 'cash', type: 'cash', pattern: RE.CASH, priority: 50, fields: AMOUNT_FIELD },
+  { name: 'debit', type: 'debit', pattern: RE.DEBIT, priority: 60, fields: AMOUNT_FIELD },
+  { name: 'credit', type: 'credit', pattern: RE.CREDIT, priority: 70, fields: AMOUNT_FIELD },
+  { name: 'preauth', type: 'preauth', pattern: RE.PREAUTH, priority: 80, fields: AMOUNT_FIELD },
+  { name: 'ebt', type: 'ebt', pattern: RE.EBT, priority: 81, fields: AMOUNT_FIELD },
+  { name: 'gift_card', type: 'gift_card', pattern: RE.GIFT_CARD, priority: 82, fields: AMOUNT_FIELD },
+  { name: 'check', type: 'check', pattern: RE.CHECK, priority: 83, fields: AMOUNT_FIELD },
+  { name: 'mobile', type: 'mobile', pattern: RE.MOBILE, priority: 84, fields: AMOUNT_FIELD },
+  {
+    name: 'age_verification',
+    type: 'age_verification',
+    pattern: RE.AGE_VERIFICATION,
+    priority: 90,
+    fields: {
+      status: { group: 'result', transform: ['collapse', 'upper'] },
+      desc: { template: 'DOB Verification: {status}' },
+      transactionNumber: { group: 'transaction', default: null },
+    },
+  },
+  {
+    name: 'dob_entry',
+    type: 'dob_entry',
+    pattern: RE.DOB_ENTRY,
+    priority: 91,
+    fields: { dob: { template: '{year}-{month}-{day}' }, desc: { template: 'DOB Entry: {dob}' } },
+  },
+  { name: 'separator', type: 'separator', pattern: RE.SEPARATOR, priority: 100 },
+  {
+    name: 'manual_override',
+    type: 'manual_override',
+    pattern: RE.MANUAL_OVERRIDE,
+    priority: 110,
+    fields: { desc: { value: 'MANUAL ENTRY OVERRIDE' }, transactionNumber: { group: 'transaction', default: null } },
+  },
+  { name: 'error_correct_start', type: 'error_correct_start', pattern: RE.ERROR_CORRECT_START, priority: 120, fields: { desc: { value: 'ERROR CORRECT' } } },
+  { name: 'error_correct_end', type: 'error_correct_end', pattern: RE.ERROR_CORRECT_END, priority: 121, fields: { desc: { value: 'ERROR CORRECT' } } },
+  {
+    name: 'error_correct',
+    type: 'error_correct',
+    pattern: RE.ERROR_CORRECT,
+    priority: 122,
+    fields: { referencedItem: { group: 'desc', transform: 'collapse' }, desc: { template: 'ERROR CORRECT {referencedItem}' } },
+  },
+  {
+    name: 'void_transaction',
+    type: 'void_transaction',
+    pattern: RE.VOID_TRANSACTION,
+    priority: 130,
+    fields: { desc: { value: 'VOID TICKET' }, transactionNumber: { group: 'transaction', default: null }, ...AMOUNT_FIELD },
+  },
+  { name: 'void_start', type: 'void_start', pattern: RE.VOID_START, priority: 131, fields: { desc: { value: 'VOID' } } },
+  {
+    name: 'void',
+    type: 'void',
+    pattern: RE.VOID,
+    priority: 132,
+    fields: {
+      referencedItem: { group: 'desc', transform: 'collapse' },
+      desc: { template: 'VOID {referencedItem}', transform: 'trim' },
+      qty: { group: 'qty', type: 'number' },
+      ...AMOUNT_FIELD,
+    },
+  },
+  {
+    name: 'refund',
+    type: 'refund',
+    pattern: RE.REFUND,
+    priority: 140,
+    fields: {
+      referencedItem: { group: 'desc', transform: 'collapse' },
+      desc: { template: 'REFUND {referencedItem}', transform: 'trim' },
+      qty: { group: 'qty', type: 'number' },
+      ...AMOUNT_FIELD,
+    },
+  },
+  { name: 'refund_amount', type: 'refund', pattern: RE.REFUND_AMOUNT, priority: 141, fields: { desc: { value: 'REFUND' }, ...AMOUNT_FIELD } },
+  { name: 'no_sale', type: 'no_sale', pattern: RE.NO_SALE, priority: 150, fields: { desc: { value: 'NO SALE' } } },
+  {
+    name: 'suspend',
+    type: 'suspend',
+    pattern: RE.SUSPEND,
+    priority: 152,
+    fields: { desc: { value: 'TRANSACTION SUSPENDED' }, transactionNumber: { group: 'transaction', default: null } },
+  },
+  {
+    name: 'recall',
+    type: 'recall',
+    pattern: RE.RECALL,
+    priority: 153,
+    fields: { desc: { value: 'TRANSACTION RECALLED' }, transactionNumber: { group: 'transaction', default: null } },
+  },
+  {
+    name: 'cancel',
+    type: 'cancel',
+    pattern: RE.CANCEL,
+    priority: 160,
+    fields: { desc: { value: 'CANCEL' }, transactionNumber: { group: 'transaction', default: null }, ...AMOUNT_FIELD },
+  },
+  {
+    name: 'fuel_prepay',
+    type: 'fuel_prepay',
+    pattern: RE.FUEL_PREPAY,
+    priority: 180,
+    fields: {
+      pump: { group: 'pump', type: 'number' },
+      fuelTender: { group: 'fuelTender', default: null },
+      desc: { template: 'PREPAY #{pump}' },
+      qty: { group: 'qty', type: 'number' },
+      ...AMOUNT_FIELD,
+    },
+  },
+  {
+    name: 'fuel_postpay',
+    type: 'fuel_postpay',
+    pattern: RE.FUEL_POSTPAY,
+    priority: 181,
+    fields: {
+      pump: { group: 'pump', type: 'number' },
+      grade: { group: 'grade', transform: 'collapse', default: null },
+      desc: { template: 'FUEL #{pump}' },
+      qty: { group: 'qty', type: 'number' },
+      ...AMOUNT_FIELD,
+    },
+  },
+  {
+    name: 'fuel_grade',
+    type: 'fuel_grade',
+    pattern: RE.FUEL_GRADE,
+    priority: 182,
+    fields: {
+      grade: 'grade',
+      desc: { group: 'grade' },
+      pump: { group: 'pump', type: 'number' },
+      gallons: { group: 'gallons', type: 'number' },
+      pricePerGallon: { group: 'pricePerGallon', type: 'number' },
+      ...AMOUNT_FIELD,
+    },
+  },
+  {
+    name: 'discount',
+    type: 'discount',
+    pattern: RE.DISCOUNT,
+    priority: 170,
+    fields: { desc: { group: 'desc', transform: 'collapse' }, qty: { group: 'qty', type: 'number' }, ...AMOUNT_FIELD },
+  },
+  {
+    name: 'coupon',
+    type: 'coupon',
+    pattern: RE.COUPON,
+    priority: 171,
+    fields: { desc: { group: 'desc', transform: 'collapse' }, qty: { group: 'qty', type: 'number' }, ...AMOUNT_FIELD },
+  },
+  {
+    name: 'item',
+    type: 'item',
+    pattern: RE.ITEM,
+    priority: 1000,
+    fields: {
+      desc: { group: 'desc', transform: 'trim' },
+      taxClass: { group: 'taxClass', default: null },
+      department: { group: 'department', default: null },
+      plu: { group: 'plu', default: null },
+      qty: { group: 'qty', type: 'number' },
+      unitPrice: { group: 'unitPrice', type: 'number' },
+      amount: { group: 'amount', type: 'number' },
+    },
+  },
+]);
+
+// Every classified line carries the register clock and number when the
+// `MM/DD/YY HH:MM:SS NNN` prefix is present; time zone conversion happens
+// downstream where the store configuration is known. Items printed with an
+// extended amount only get a derived unit price.
+function annotate(c) {
+  const out = { ...c };
+  if (out.type === 'item' && out.unitPrice === undefined && out.qty && typeof out.amount === 'number') {
+    out.unitPrice = Number((out.amount / out.qty).toFixed(2));
   }
-  const mItem = line.match(RE.ITEM);
-  if (mItem) {
-    return {
-      type: 'item',
-      line,
-      desc: mItem.groups.desc.trim(),
-      qty: Number(mItem.groups.qty),
-      amount: Number(mItem.groups.amount),
-    };
+  if (out.type === 'dob_entry' && out.dob) {
+    // A keyed-in birth date prints as a Java Date string; normalise to ISO.
+    const [year, month, day] = out.dob.split('-');
+    out.dob = `${year}-${String(MONTHS.indexOf(month) + 1).padStart(2, '0')}-${day.padStart(2, '0')}`;
+    out.desc = `DOB Entry: ${out.dob}`;
   }
-  return { type: 'unknown', line };
+  const m = out.line.match(RE.LINE_PREFIX);
+  if (!m) return out;
+  return { ...out, posDate: m.groups.date, posTime: m.groups.time, posRegister: m.groups.register };
+}
+
+const classify = makeRuleClassifier({ clean, rules: RULES, annotate });
+
+const START_TYPES = [
+  'item', 'total', 'cash', 'debit', 'unknown',
+  'manual_override', 'age_verification', 'dob_entry', 'error_correct_start', 'error_correct', 'void_transaction', 'void_start', 'void',
+  'refund', 'no_sale', 'cancel', 'suspend', 'recall', 'subtotal', 'discount', 'coupon',
+  'fuel_prepay', 'fuel_postpay', 'fuel_grade',
+];
+
+// Marker lines that turn the next item line into the named exception type,
+// e.g. the item printed inside an ERROR CORRECT block is the corrected item.
+const ITEM_MODIFIERS = {
+  error_correct_start: 'error_correct',
+  void_start: 'void',
+};
+
+function startsTransaction(c) {
+  return START_TYPES.includes(c.type);
 }
 
-module.exports = { clean, splitMashedEnd, classify, RE, TS_RE };
+function endsTransaction(c) {
+  return c.type === 'cashier';
+}
+
+module.exports = {
+  name: 'verifone_commander',
+  clean,
+  splitMashedEnd,
+  classify,
+  annotate,
+  startsTransaction,
+  endsTransaction,
+  itemModifiers: ITEM_MODIFIERS,
+  rules: RULES,
+  RE,
+  TS_RE,
+};
@@ -0,0 +1,51 @@
+const BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+
+// Per-destination breaker. After failureThreshold consecutive failures the
+// destination is left alone for openMs; the first request after that is a
+// half-open probe. A failed probe reopens it for twice as long (up to
+// maxOpenMs), a successful one closes it and resets the cooldown.
+function createCircuitBreaker({
+  failureThreshold = 5,
+  openMs = 5000,
+  maxOpenMs = 5 * 60 * 1000,
+} = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let cooldownMs = openMs;
+  let openUntil = 0;
+
+  function currentState(nowMs = Date.now()) {
+    if (state === 'open' && nowMs >= openUntil) state = 'half_open';
+    return state;
+  }
+
+  function open(nowMs) {
+    state = 'open';
+    openUntil = nowMs + cooldownMs;
+  }
+
+  function recordSuccess() {
+    state = 'closed';
+    failures = 0;
+    cooldownMs = openMs;
+  }
+
+  function recordFailure(nowMs = Date.now()) {
+    if (currentState(nowMs) === 'half_open') {
+      cooldownMs = Math.min(cooldownMs * 2, maxOpenMs);
+      open(nowMs);
+      return;
+    }
+    if (state === 'open') return;
+    failures += 1;
+    if (failures >= failureThreshold) open(nowMs);
+  }
+
+  function retryAt() {
+    return state === 'open' ? openUntil : null;
+  }
+
+  return { state: currentState, recordSuccess, recordFailure, retryAt };
+}
+
+module.exports = { createCircuitBreaker, BREAKER_STATES };
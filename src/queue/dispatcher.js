@@ -0,0 +1,225 @@
+const { createCircuitBreaker, BREAKER_STATES } = require('./circuitBreaker');
+const { createRetryPolicy, parseRetryAfter } = require('./retryPolicy');
+
+const BATCH_SIZE_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500];
+
+function destinationOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return url;
+  }
+}
+
+function previewOf(err) {
+  const responseBody = typeof err.body === 'string' ? err.body : null;
+  return responseBody && responseBody.length > 256
+    ? `${responseBody.slice(0, 256)}…`
+    : responseBody;
+}
+
+// Delivers queued jobs with up to `concurrency` requests in flight per
+// destination host (`hostConcurrency` overrides it per host). Each host has
+// its own circuit breaker, so a dead URL only holds back its own jobs. Jobs
+// of `batchTopic` for the same URL are posted together as one JSON array of
+// up to batchSize bodies; a short batch waits batchLingerMs once for more.
+function createDispatcher({
+  queue,
+  metrics,
+  send,
+  concurrency = 1,
+  hostConcurrency = {},
+  breaker = {},
+  batchTopic = null,
+  batchSize = 1,
+  batchLingerMs = 0,
+  requestTimeoutMs = 0,
+  retryPolicy = createRetryPolicy(),
+  pollMs = 300,
+}, logger = console) {
+  const destinations = new Map();
+  const inFlightIds = new Set();
+  const lingerUntil = new Map();
+  let timer = null;
+  let running = false;
+
+  function destinationFor(host) {
+    let destination = destinations.get(host);
+    if (!destination) {
+      destination = {
+        host,
+        limit: Math.max(1, Number(hostConcurrency[host] || concurrency)),
+        inFlight: 0,
+        breaker: createCircuitBreaker(breaker),
+      };
+      destinations.set(host, destination);
+    }
+    return destination;
+  }
+
+  function reportDestination(destination, nowMs = Date.now()) {
+    const labels = { destination: destination.host };
+    metrics?.setGauge('micromanager_destination_in_flight', destination.inFlight, labels);
+    metrics?.setGauge('micromanager_destination_breaker_state', BREAKER_STATES[destination.breaker.state(nowMs)], labels);
+  }
+
+  function canSend(destination, nowMs) {
+    if (destination.inFlight >= destination.limit) return false;
+    const state = destination.breaker.state(nowMs);
+    if (state === 'open') return false;
+    return state === 'closed' || destination.inFlight === 0;
+  }
+
+  function claim(job, nowMs) {
+    if (!batchTopic || job.topic !== batchTopic || batchSize <= 1) return [job];
+    const jobs = queue.dueBatch(job, batchSize + inFlightIds.size, nowMs)
+      .filter((candidate) => !inFlightIds.has(candidate.id))
+      .slice(0, batchSize);
+    if (jobs.length < batchSize && batchLingerMs > 0) {
+      const deadline = lingerUntil.get(job.url);
+      if (deadline === undefined) {
+        lingerUntil.set(job.url, nowMs + batchLingerMs);
+        return null;
+      }
+      if (nowMs < deadline) return null;
+    }
+    lingerUntil.delete(job.url);
+    return jobs;
+  }
+
+  function settle(destination, jobs, err) {
+    const [job] = jobs;
+    const ids = jobs.map((claimed) => claimed.id);
+    const batched = jobs.length > 1;
+    if (!err) {
+      queue.markBatch(ids, true);
+      metrics?.setGauge('micromanager_queue_depth', queue.depth());
+      return;
+    }
+
+    const permanent = retryPolicy.isPermanent(err.status, job.topic);
+    const retryAfterSeconds = parseRetryAfter(err.headers);
+    const responsePreview = previewOf(err);
+    logger.warn?.('queue: job delivery failed', {
+      id: job.id,
+      topic: job.topic,
+      url: job.url,
+      tries: job.tries,
+      ...(batched ? { batch: jobs.length } : {}),
+      error: err.message,
+      status: err.status || null,
+      ...(retryAfterSeconds !== null ? { retry_after: retryAfterSeconds } : {}),
+      response_preview: responsePreview || null,
+    });
+    const outcomes = queue.markBatch(ids, false, {
+      error: err.message,
+      status: err.status || null,
+      responsePreview,
+      permanent,
+      retryAfterSeconds,
+    });
+    const deadLettered = outcomes.filter((outcome) => outcome === 'dead_letter').length;
+    if (deadLettered > 0) {
+      const reason = permanent ? 'permanent_error' : 'retry_budget';
+      metrics?.incCounter('micromanager_jobs_dead_lettered_total', deadLettered, { reason });
+      metrics?.setGauge('micromanager_queue_depth', queue.depth());
+      logger.warn?.('queue: job moved to dead letters', { id: job.id, topic: job.topic, reason, tries: job.tries + 1, count: deadLettered });
+    }
+    // A permanent rejection proves the destination is up, so it does not
+    // count against its breaker.
+    if (permanent) {
+      destination.breaker.recordSuccess();
+    } else {
+      const before = destination.breaker.state();
+      destination.breaker.recordFailure();
+      if (destination.breaker.state() === 'open' && before !== 'open') {
+        logger.warn?.('queue: destination circuit opened', {
+          destination: destination.host,
+          retry_at: new Date(destination.breaker.retryAt()).toISOString(),
+        });
+      }
+    }
+  }
+
+  async function deliver(destination, jobs) {
+    const [job] = jobs;
+    const batched = jobs.length > 1;
+    let error = null;
+    try {
+      const headers = { 'content-type': 'application/json', ...JSON.parse(job.headers || '{}') };
+      const body = batched ? `[${jobs.map((claimed) => claimed.body).join(',')}]` : job.body;
+      const start = Date.now();
+      await send(job.url, { method: 'POST', body, headers, timeoutMs: requestTimeoutMs });
+      const latency = Date.now() - start;
+      metrics?.observeHistogram('micromanager_post_latency_ms', latency);
+      if (batched) metrics?.observeHistogram('micromanager_post_batch_size', jobs.length, BATCH_SIZE_BUCKETS);
+      if (destination.breaker.state() !== 'closed') {
+        logger.info?.('queue: destination circuit closed', { destination: destination.host });
+      }
+      destination.breaker.recordSuccess();
+      logger.info?.('queue: job delivered', { id: job.id, topic: job.topic, latency, ...(batched ? { batch: jobs.length } : {}) });
+    } catch (err) {
+      error = err;
+    }
+
+    try {
+      settle(destination, jobs, error);
+    } catch (err) {
+      logger.error?.('queue: failed to record delivery result', { id: job.id, error: err.message });
+    } finally {
+      jobs.forEach((claimed) => inFlightIds.delete(claimed.id));
+      destination.inFlight -= 1;
+      reportDestination(destination);
+      if (running) setImmediate(pump);
+    }
+  }
+
+  function pump() {
+    if (!running) return;
+    clearTimeout(timer);
+    const nowMs = Date.now();
+    try {
+      queue.dueUrls(nowMs).forEach((url) => {
+        const destination = destinationFor(destinationOf(url));
+        while (canSend(destination, nowMs)) {
+          const job = queue.dueForUrl(url, inFlightIds, nowMs);
+          if (!job) break;
+          const jobs = claim(job, nowMs);
+          if (!jobs) break;
+          jobs.forEach((claimed) => inFlightIds.add(claimed.id));
+          destination.inFlight += 1;
+          deliver(destination, jobs);
+        }
+      });
+      destinations.forEach((destination) => reportDestination(destination, nowMs));
+    } catch (err) {
+      logger.error?.('queue: dispatch failed', { error: err.message });
+    }
+    timer = setTimeout(pump, pollMs);
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    pump();
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function snapshot() {
+    return [...destinations.values()].map((destination) => ({
+      destination: destination.host,
+      state: destination.breaker.state(),
+      in_flight: destination.inFlight,
+      concurrency: destination.limit,
+    }));
+  }
+
+  return { start, stop, pump, destinations: snapshot, inFlight: () => inFlightIds.size };
+}
+
+module.exports = { createDispatcher, destinationOf };
@@ -0,0 +1,83 @@
+const JITTER_MODES = ['full', 'none'];
+const POLICY_KEYS = ['baseSeconds', 'maxSeconds', 'capAfterTries', 'capSeconds', 'maxRetryAfterSeconds', 'maxTries'];
+
+function validate(settings, scope) {
+  POLICY_KEYS.forEach((key) => {
+    const value = settings[key];
+    if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      throw new Error(`queue: retry policy ${scope}${key} must be a non-negative number (got ${JSON.stringify(value)})`);
+    }
+  });
+  if (settings.jitter !== undefined && !JITTER_MODES.includes(settings.jitter)) {
+    throw new Error(`queue: retry policy ${scope}jitter must be one of ${JITTER_MODES.join('|')} (got ${JSON.stringify(settings.jitter)})`);
+  }
+  if (settings.retryableStatuses !== undefined && !Array.isArray(settings.retryableStatuses)) {
+    throw new Error(`queue: retry policy ${scope}retryableStatuses must be an array of HTTP status codes`);
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date.
+function parseRetryAfter(headers = {}, nowMs = Date.now()) {
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  const at = Date.parse(text);
+  if (Number.isNaN(at)) return null;
+  return Math.max(0, Math.ceil((at - nowMs) / 1000));
+}
+
+// Retry schedule for failed deliveries. The delay doubles from baseSeconds up
+// to maxSeconds and becomes capSeconds once a job has failed capAfterTries
+// times. With full jitter the actual delay is drawn between one second and
+// that ceiling, so edge devices recovering from the same outage spread out.
+// A Retry-After answer replaces the schedule (up to maxRetryAfterSeconds).
+// 4xx answers outside retryableStatuses are permanent. `topics` overrides any
+// of these settings, plus maxTries, for one topic.
+function createRetryPolicy({
+  baseSeconds = 1,
+  maxSeconds = 60,
+  capAfterTries = 10,
+  capSeconds = 300,
+  jitter = 'full',
+  maxRetryAfterSeconds = 3600,
+  retryableStatuses = [408, 429],
+  maxTries = 0,
+  topics = {},
+} = {}, random = Math.random) {
+  const base = { baseSeconds, maxSeconds, capAfterTries, capSeconds, jitter, maxRetryAfterSeconds, retryableStatuses, maxTries };
+  validate(base, '');
+  const overrides = new Map();
+  Object.entries(topics || {}).forEach(([topic, settings]) => {
+    validate(settings || {}, `topics.${topic}.`);
+    overrides.set(topic, { ...base, ...settings });
+  });
+
+  function settingsFor(topic) {
+    return overrides.get(topic) || base;
+  }
+
+  function isPermanent(status, topic) {
+    return status >= 400 && status < 500 && !settingsFor(topic).retryableStatuses.includes(status);
+  }
+
+  function delaySeconds(tries, { topic, retryAfterSeconds = null } = {}) {
+    const settings = settingsFor(topic);
+    if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds >= 0) {
+      return Math.min(retryAfterSeconds, settings.maxRetryAfterSeconds);
+    }
+    const ceiling = settings.capAfterTries > 0 && tries >= settings.capAfterTries
+      ? settings.capSeconds
+      : Math.min(settings.baseSeconds * 2 ** Math.max(tries - 1, 0), settings.maxSeconds);
+    if (settings.jitter === 'none' || ceiling === 0) return ceiling;
+    return Math.max(1, Math.ceil(random() * ceiling));
+  }
+
+  function maxTriesFor(topic) {
+    return settingsFor(topic).maxTries;
+  }
+
+  return { isPermanent, delaySeconds, maxTries: maxTriesFor };
+}
+
+module.exports = { createRetryPolicy, parseRetryAfter };
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { createRetryPolicy } = require('./retryPolicy');
 let Database;
 try {
   // eslint-disable-next-line global-require
@@ -8,36 +9,96 @@ try {
   Database = null;
 }
 
+// A failed job moves to the dead-letter table when the receiver rejected it
+// permanently or it has used up its topic's maxTries (0 retries forever).
+function deadLetterReason(tries, { permanent = false } = {}, maxTries = 0) {
+  if (permanent) return 'permanent_error';
+  if (maxTries > 0 && tries >= maxTries) return 'retry_budget';
+  return null;
+}
+
+// Without an explicit policy the queue keeps its fixed schedule: 1 s doubling
+// to 60 s, then 300 s from the tenth failure, no jitter.
+function defaultRetryPolicy(maxTries) {
+  return createRetryPolicy({ maxTries, jitter: 'none' });
+}
+
+function deadLetterRecord(job, tries, reason, failure, nowSec) {
+  return {
+    job_id: job.id,
+    topic: job.topic,
+    url: job.url,
+    body: job.body,
+    headers: job.headers,
+    order_key: job.order_key ?? null,
+    tries,
+    created_at: job.created_at,
+    failed_at: nowSec,
+    reason,
+    last_error: failure.error || null,
+    last_status: failure.status || null,
+    response_preview: failure.responsePreview || null,
+  };
+}
+
+function priorityOf(topicPriorities, topic) {
+  return Number(topicPriorities[topic]) || 0;
+}
+
+// Only jobs at the lowest priority expire by age. Higher-priority jobs
+// (summaries by default) are removed only by the size limit, which trims the
+// lowest priority first.
+function agedPriority(topicPriorities) {
+  return Math.min(0, ...Object.keys(topicPriorities).map((topic) => priorityOf(topicPriorities, topic)));
+}
+
 function createMemoryQueue(options = {}, logger = console) {
   const {
     maxBytes = 500 * 1024 * 1024,
     maxAgeSeconds = 7 * 24 * 60 * 60,
+    maxTries = 0,
+    deadLetterMaxAgeSeconds = 30 * 24 * 60 * 60,
+    topicPriorities = {},
+    orderedTopics = [],
+    retryPolicy = defaultRetryPolicy(maxTries),
   } = options;
 
   const jobs = [];
+  const deadLetters = [];
   let nextId = 1;
+  let nextDeadLetterId = 1;
 
   function approximateSize() {
     return jobs.reduce((total, job) => total + Buffer.byteLength(job.body) + Buffer.byteLength(job.headers || '{}'), 0);
   }
 
+  const expiringPriority = agedPriority(topicPriorities);
+
   function prune() {
     const nowSec = Math.floor(Date.now() / 1000);
+    if (deadLetterMaxAgeSeconds > 0) {
+      for (let i = deadLetters.length - 1; i >= 0; i -= 1) {
+        if (deadLetters[i].failed_at < nowSec - deadLetterMaxAgeSeconds) {
+          deadLetters.splice(i, 1);
+        }
+      }
+    }
     if (maxAgeSeconds > 0) {
       for (let i = jobs.length - 1; i >= 0; i -= 1) {
-        if (jobs[i].created_at < nowSec - maxAgeSeconds) {
+        if (jobs[i].created_at < nowSec - maxAgeSeconds && jobs[i].priority <= expiringPriority) {
           jobs.splice(i, 1);
         }
       }
     }
     if (maxBytes > 0) {
       while (approximateSize() > maxBytes && jobs.length > 0) {
-        jobs.shift();
+        const lowest = jobs.reduce((best, job, index) => (job.priority < jobs[best].priority ? index : best), 0);
+        jobs.splice(lowest, 1);
       }
     }
   }
 
-  function push(topic, url, body, headers = {}) {
+  function push(topic, url, body, headers = {}, { orderKey = null } = {}) {
     const nowSec = Math.floor(Date.now() / 1000);
     const payload = typeof body === 'string' ? body : JSON.stringify(body);
     const headerStr = JSON.stringify(headers);
@@ -52,40 +113,167 @@ function createMemoryQueue(options = {}, logger = console) {
       tries: 0,
       next_at: nowSec,
       created_at: nowSec,
+      priority: priorityOf(topicPriorities, topic),
+      order_key: orderKey,
     });
     prune();
   }
 
-  function due(nowMs = Date.now()) {
+  function held(job) {
+    if (!job.order_key || !orderedTopics.includes(job.topic)) return false;
+    return jobs.some((j) => j.order_key === job.order_key && j.id < job.id);
+  }
+
+  function dueJobs(nowMs) {
     const nowSec = Math.floor(nowMs / 1000);
-    const job = jobs.find((j) => j.next_at <= nowSec);
+    return jobs
+      .filter((j) => j.next_at <= nowSec && !held(j))
+      .sort((a, b) => b.priority - a.priority || a.id - b.id);
+  }
+
+  function due(nowMs = Date.now()) {
+    const [job] = dueJobs(nowMs);
     return job ? { ...job } : null;
   }
 
-  function mark(id, ok) {
+  function mark(id, ok, failure = {}) {
     const idx = jobs.findIndex((j) => j.id === id);
-    if (idx === -1) return;
+    if (idx === -1) return null;
     if (ok) {
       jobs.splice(idx, 1);
-      return;
+      return 'delivered';
     }
     const job = jobs[idx];
-    job.tries += 1;
-    if (job.tries >= 10) {
-      job.next_at = Math.floor(Date.now() / 1000) + 300;
-    } else {
-      const delay = Math.min(2 ** (job.tries - 1), 60);
-      job.next_at = Math.floor(Date.now() / 1000) + delay;
+    const nowSec = Math.floor(Date.now() / 1000);
+    const reason = deadLetterReason(job.tries + 1, failure, retryPolicy.maxTries(job.topic));
+    if (reason) {
+      jobs.splice(idx, 1);
+      deadLetters.push({ id: nextDeadLetterId, ...deadLetterRecord(job, job.tries + 1, reason, failure, nowSec) });
+      nextDeadLetterId += 1;
+      return 'dead_letter';
     }
+    job.tries += 1;
+    job.next_at = nowSec + retryPolicy.delaySeconds(job.tries, { topic: job.topic, retryAfterSeconds: failure.retryAfterSeconds });
+    return 'retry';
+  }
+
+  function dueUrls(nowMs = Date.now()) {
+    return [...new Set(dueJobs(nowMs).map((j) => j.url))];
+  }
+
+  // Next due job for one URL that is not already being delivered.
+  function dueForUrl(url, excludeIds = new Set(), nowMs = Date.now()) {
+    const job = dueJobs(nowMs).find((j) => j.url === url && !excludeIds.has(j.id));
+    return job ? { ...job } : null;
+  }
+
+  // Due jobs that share the head job's topic and URL, oldest first, so they
+  // can be posted together.
+  function dueBatch(head, limit, nowMs = Date.now()) {
+    const nowSec = Math.floor(nowMs / 1000);
+    return jobs
+      .filter((j) => j.id >= head.id && j.topic === head.topic && j.url === head.url && j.next_at <= nowSec)
+      .slice(0, limit)
+      .map((j) => ({ ...j }));
+  }
+
+  function markBatch(ids, ok, failure = {}) {
+    return ids.map((id) => mark(id, ok, failure));
   }
 
   function depth() {
     return jobs.length;
   }
 
+  function listDeadLetters({ topic = null, limit = 100, offset = 0 } = {}) {
+    return deadLetters
+      .filter((letter) => !topic || letter.topic === topic)
+      .slice(offset, offset + limit)
+      .map((letter) => {
+        const summary = { ...letter };
+        delete summary.body;
+        delete summary.headers;
+        return summary;
+      });
+  }
+
+  function getDeadLetter(id) {
+    const letter = deadLetters.find((entry) => entry.id === id);
+    return letter ? { ...letter } : null;
+  }
+
+  function takeDeadLetters(selector) {
+    const taken = [];
+    for (let i = deadLetters.length - 1; i >= 0; i -= 1) {
+      if (selector(deadLetters[i])) taken.unshift(...deadLetters.splice(i, 1));
+    }
+    return taken;
+  }
+
+  function matches({ id = null, topic = null }) {
+    return (letter) => (id === null || letter.id === id) && (!topic || letter.topic === topic);
+  }
+
+  function requeueDeadLetters(filter = {}) {
+    const nowSec = Math.floor(Date.now() / 1000);
+    const taken = takeDeadLetters(matches(filter));
+    taken.forEach((letter) => {
+      jobs.push({
+        id: nextId,
+        topic: letter.topic,
+        url: letter.url,
+        body: letter.body,
+        headers: letter.headers,
+        tries: 0,
+        next_at: nowSec,
+        created_at: nowSec,
+        priority: priorityOf(topicPriorities, letter.topic),
+        order_key: letter.order_key,
+      });
+      nextId += 1;
+    });
+    return taken.length;
+  }
+
+  function purgeDeadLetters(filter = {}) {
+    return takeDeadLetters(matches(filter)).length;
+  }
+
+  function deadLetterCount() {
+    return deadLetters.length;
+  }
+
   logger.warn?.('queue: falling back to in-memory queue (better-sqlite3 unavailable)');
 
-  return { push, due, mark, depth, enforceLimits: prune, options: { maxBytes, maxAgeSeconds }, db: null };
+  return {
+    push,
+    due,
+    dueUrls,
+    dueForUrl,
+    dueBatch,
+    mark,
+    markBatch,
+    depth,
+    listDeadLetters,
+    getDeadLetter,
+    requeueDeadLetters,
+    purgeDeadLetters,
+    deadLetterCount,
+    enforceLimits: prune,
+    options: { maxBytes, maxAgeSeconds, maxTries, deadLetterMaxAgeSeconds, topicPriorities, orderedTopics },
+    db: null,
+  };
+}
+
+function addMissingColumns(db, table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name);
+  Object.entries(columns).forEach(([name, definition]) => {
+    if (!existing.includes(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+  });
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
 }
 
 function ensureDirectory(filePath) {
@@ -101,6 +289,11 @@ function createQueue(options = {}, logger = console) {
     maxBytes = 500 * 1024 * 1024,
     maxAgeSeconds = 7 * 24 * 60 * 60,
     trimBatchSize = 250,
+    maxTries = 0,
+    deadLetterMaxAgeSeconds = 30 * 24 * 60 * 60,
+    topicPriorities = {},
+    orderedTopics = [],
+    retryPolicy = defaultRetryPolicy(maxTries),
   } = options;
 
   if (!Database) {
@@ -121,20 +314,76 @@ function createQueue(options = {}, logger = console) {
       headers TEXT NOT NULL,
       tries INTEGER NOT NULL DEFAULT 0,
       next_at INTEGER NOT NULL DEFAULT (strftime('%s','now')),
-      created_at INTEGER NOT NULL DEFAULT (strftime('%s','now'))
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s','now')),
+      priority INTEGER NOT NULL DEFAULT 0,
+      order_key TEXT
     );
+    CREATE TABLE IF NOT EXISTS dead_letters (
+      id INTEGER PRIMARY KEY,
+      job_id INTEGER NOT NULL,
+      topic TEXT NOT NULL,
+      url TEXT NOT NULL,
+      body TEXT NOT NULL,
+      headers TEXT NOT NULL,
+      tries INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      failed_at INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      last_error TEXT,
+      last_status INTEGER,
+      response_preview TEXT,
+      order_key TEXT
+    );
+  `);
+  addMissingColumns(db, 'jobs', { priority: 'INTEGER NOT NULL DEFAULT 0', order_key: 'TEXT' });
+  addMissingColumns(db, 'dead_letters', { order_key: 'TEXT' });
+  db.exec(`
     CREATE INDEX IF NOT EXISTS idx_jobs_next ON jobs(next_at);
     CREATE INDEX IF NOT EXISTS idx_jobs_created ON jobs(created_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_url ON jobs(url, next_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_priority ON jobs(priority, created_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_order_key ON jobs(order_key);
+    CREATE INDEX IF NOT EXISTS idx_dead_letters_topic ON dead_letters(topic);
   `);
 
-  const insertStmt = db.prepare('INSERT INTO jobs(topic,url,body,headers,next_at,created_at) VALUES(?,?,?,?,?,?)');
-  const dueStmt = db.prepare('SELECT * FROM jobs WHERE next_at <= ? ORDER BY id LIMIT 1');
+  // Jobs queued before a priority change take the current one.
+  const reprioritize = db.prepare('UPDATE jobs SET priority = ? WHERE topic = ? AND priority != ?');
+  Object.keys(topicPriorities).forEach((topic) => {
+    const priority = priorityOf(topicPriorities, topic);
+    reprioritize.run(priority, topic, priority);
+  });
+
+  // A job of an ordered topic is held while an earlier job with the same
+  // order key (e.g. a line of the same transaction) is still queued.
+  const holdClause = orderedTopics.length === 0 ? '' : `AND NOT (topic IN (${orderedTopics.map(sqlString).join(',')})
+    AND order_key IS NOT NULL
+    AND EXISTS (SELECT 1 FROM jobs AS earlier WHERE earlier.order_key = jobs.order_key AND earlier.id < jobs.id))`;
+
+  const insertStmt = db.prepare('INSERT INTO jobs(topic,url,body,headers,next_at,created_at,priority,order_key) VALUES(?,?,?,?,?,?,?,?)');
+  const dueStmt = db.prepare(`SELECT * FROM jobs WHERE next_at <= ? ${holdClause} ORDER BY priority DESC, id LIMIT 1`);
+  const dueUrlsStmt = db.prepare(`SELECT url FROM jobs WHERE next_at <= ? ${holdClause}
+    GROUP BY url ORDER BY MAX(priority) DESC, MIN(id)`);
+  const dueForUrlStmt = db.prepare(`SELECT * FROM jobs WHERE url = ? AND next_at <= ? ${holdClause}
+    ORDER BY priority DESC, id LIMIT ?`);
+  const dueBatchStmt = db.prepare(`SELECT * FROM jobs WHERE id >= @id AND topic = @topic AND url = @url AND next_at <= @now
+    ORDER BY id LIMIT @limit`);
   const deleteStmt = db.prepare('DELETE FROM jobs WHERE id = ?');
-  const selectTriesStmt = db.prepare('SELECT tries FROM jobs WHERE id = ?');
+  const selectJobStmt = db.prepare('SELECT * FROM jobs WHERE id = ?');
   const updateRetryStmt = db.prepare('UPDATE jobs SET tries = ?, next_at = ? WHERE id = ?');
   const countStmt = db.prepare('SELECT COUNT(*) as count FROM jobs');
-  const deleteOlderThanStmt = db.prepare('DELETE FROM jobs WHERE created_at < ?');
-  const deleteOldestBatchStmt = db.prepare('DELETE FROM jobs WHERE id IN (SELECT id FROM jobs ORDER BY created_at LIMIT ? )');
+  const expiringPriority = agedPriority(topicPriorities);
+  const deleteOlderThanStmt = db.prepare('DELETE FROM jobs WHERE created_at < ? AND priority <= ?');
+  const deleteOldestBatchStmt = db.prepare('DELETE FROM jobs WHERE id IN (SELECT id FROM jobs ORDER BY priority, created_at LIMIT ? )');
+  const insertDeadLetterStmt = db.prepare(`INSERT INTO dead_letters(job_id,topic,url,body,headers,order_key,tries,created_at,failed_at,reason,last_error,last_status,response_preview)
+    VALUES(@job_id,@topic,@url,@body,@headers,@order_key,@tries,@created_at,@failed_at,@reason,@last_error,@last_status,@response_preview)`);
+  const listDeadLettersStmt = db.prepare(`SELECT id,job_id,topic,url,order_key,tries,created_at,failed_at,reason,last_error,last_status,response_preview
+    FROM dead_letters WHERE (@topic IS NULL OR topic = @topic) ORDER BY id LIMIT @limit OFFSET @offset`);
+  const getDeadLetterStmt = db.prepare('SELECT * FROM dead_letters WHERE id = ?');
+  const selectDeadLettersStmt = db.prepare('SELECT * FROM dead_letters WHERE (@id IS NULL OR id = @id) AND (@topic IS NULL OR topic = @topic) ORDER BY id');
+  const deleteDeadLettersStmt = db.prepare('DELETE FROM dead_letters WHERE (@id IS NULL OR id = @id) AND (@topic IS NULL OR topic = @topic)');
+  const deleteDeadLetterStmt = db.prepare('DELETE FROM dead_letters WHERE id = ?');
+  const deleteDeadLettersOlderThanStmt = db.prepare('DELETE FROM dead_letters WHERE failed_at < ?');
+  const countDeadLettersStmt = db.prepare('SELECT COUNT(*) as count FROM dead_letters');
 
   function fileSize() {
     try {
@@ -147,9 +396,12 @@ function createQueue(options = {}, logger = console) {
 
   function enforceLimits() {
     const nowSec = Math.floor(Date.now() / 1000);
+    if (deadLetterMaxAgeSeconds > 0) {
+      deleteDeadLettersOlderThanStmt.run(nowSec - deadLetterMaxAgeSeconds);
+    }
     if (maxAgeSeconds > 0) {
       const cutoff = nowSec - maxAgeSeconds;
-      deleteOlderThanStmt.run(cutoff);
+      deleteOlderThanStmt.run(cutoff, expiringPriority);
     }
 
     if (maxBytes > 0) {
@@ -166,12 +418,12 @@ function createQueue(options = {}, logger = console) {
     }
   }
 
-  function push(topic, url, body, headers = {}) {
+  function push(topic, url, body, headers = {}, { orderKey = null } = {}) {
     const nowSec = Math.floor(Date.now() / 1000);
     const payload = typeof body === 'string' ? body : JSON.stringify(body);
     const headerStr = JSON.stringify(headers);
     const nextAt = nowSec;
-    insertStmt.run(topic, url, payload, headerStr, nextAt, nowSec);
+    insertStmt.run(topic, url, payload, headerStr, nextAt, nowSec, priorityOf(topicPriorities, topic), orderKey);
     enforceLimits();
   }
 
@@ -180,37 +432,111 @@ function createQueue(options = {}, logger = console) {
     return dueStmt.get(nowSec) || null;
   }
 
-  function mark(id, ok) {
+  const moveToDeadLetters = db.transaction((job, record) => {
+    insertDeadLetterStmt.run(record);
+    deleteStmt.run(job.id);
+  });
+
+  const requeueTransaction = db.transaction((filter) => {
+    const nowSec = Math.floor(Date.now() / 1000);
+    const letters = selectDeadLettersStmt.all(filter);
+    letters.forEach((letter) => {
+      insertStmt.run(letter.topic, letter.url, letter.body, letter.headers, nowSec, nowSec, priorityOf(topicPriorities, letter.topic), letter.order_key);
+      deleteDeadLetterStmt.run(letter.id);
+    });
+    return letters.length;
+  });
+
+  function dueUrls(nowMs = Date.now()) {
+    return dueUrlsStmt.all(Math.floor(nowMs / 1000)).map((row) => row.url);
+  }
+
+  // Fetches one row past the excluded (in-flight) ids so a busy URL still
+  // yields its next job.
+  function dueForUrl(url, excludeIds = new Set(), nowMs = Date.now()) {
+    const rows = dueForUrlStmt.all(url, Math.floor(nowMs / 1000), excludeIds.size + 1);
+    return rows.find((row) => !excludeIds.has(row.id)) || null;
+  }
+
+  function dueBatch(head, limit, nowMs = Date.now()) {
+    const now = Math.floor(nowMs / 1000);
+    return dueBatchStmt.all({ id: head.id, topic: head.topic, url: head.url, now, limit });
+  }
+
+  function settle(id, ok, failure) {
     if (ok) {
       deleteStmt.run(id);
-      enforceLimits();
-      return;
+      return 'delivered';
     }
-    const row = selectTriesStmt.get(id);
-    const currentTries = row ? row.tries : 0;
-    const nextTries = currentTries + 1;
-    let delaySeconds;
-    if (nextTries >= 10) {
-      delaySeconds = 300;
-    } else {
-      delaySeconds = Math.min(2 ** (nextTries - 1), 60);
+    const job = selectJobStmt.get(id);
+    if (!job) return null;
+    const nextTries = job.tries + 1;
+    const nowSec = Math.floor(Date.now() / 1000);
+    const reason = deadLetterReason(nextTries, failure, retryPolicy.maxTries(job.topic));
+    if (reason) {
+      moveToDeadLetters(job, deadLetterRecord(job, nextTries, reason, failure, nowSec));
+      return 'dead_letter';
     }
-    const nextAt = Math.floor(Date.now() / 1000) + delaySeconds;
-    updateRetryStmt.run(nextTries, nextAt, id);
+    const delay = retryPolicy.delaySeconds(nextTries, { topic: job.topic, retryAfterSeconds: failure.retryAfterSeconds });
+    updateRetryStmt.run(nextTries, nowSec + delay, id);
+    return 'retry';
+  }
+
+  const settleBatch = db.transaction((ids, ok, failure) => ids.map((id) => settle(id, ok, failure)));
+
+  function mark(id, ok, failure = {}) {
+    const outcome = settle(id, ok, failure);
+    if (ok) enforceLimits();
+    return outcome;
+  }
+
+  function markBatch(ids, ok, failure = {}) {
+    const outcomes = settleBatch(ids, ok, failure);
+    if (ok) enforceLimits();
+    return outcomes;
   }
 
   function depth() {
     return countStmt.get().count;
   }
 
+  function listDeadLetters({ topic = null, limit = 100, offset = 0 } = {}) {
+    return listDeadLettersStmt.all({ topic, limit, offset });
+  }
+
+  function getDeadLetter(id) {
+    return getDeadLetterStmt.get(id) || null;
+  }
+
+  function requeueDeadLetters({ id = null, topic = null } = {}) {
+    return requeueTransaction({ id, topic });
+  }
+
+  function purgeDeadLetters({ id = null, topic = null } = {}) {
+    return deleteDeadLettersStmt.run({ id, topic }).changes;
+  }
+
+  function deadLetterCount() {
+    return countDeadLettersStmt.get().count;
+  }
+
   return {
     push,
     due,
+    dueUrls,
+    dueForUrl,
+    dueBatch,
     mark,
+    markBatch,
     depth,
+    listDeadLetters,
+    getDeadLetter,
+    requeueDeadLetters,
+    purgeDeadLetters,
+    deadLetterCount,
     enforceLimits,
     db,
-    options: { dbPath, maxBytes, maxAgeSeconds, trimBatchSize },
+    options: { dbPath, maxBytes, maxAgeSeconds, trimBatchSize, maxTries, deadLetterMaxAgeSeconds, topicPriorities, orderedTopics },
   };
 }
 
@@ -10,7 +10,7 @@ async function exists(p) {
   }
 }
 
-async function autoDetectSerialPort({ explicit, paths = [], prefix = '/dev/ttyUSB' } = {}, logger = console) {
+async function autoDetectSerialPort({ explicit, paths = [], prefix = '/dev/ttyUSB', scan = true } = {}, logger = console) {
   if (explicit && await exists(explicit)) {
     return explicit;
   }
@@ -21,6 +21,8 @@ async function autoDetectSerialPort({ explicit, paths = [], prefix = '/dev/ttyUS
     }
   }
 
+  if (!scan) return null;
+
   try {
     const devDir = '/dev';
     const entries = await fs.promises.readdir(devDir);
@@ -41,4 +43,131 @@ async function autoDetectSerialPort({ explicit, paths = [], prefix = '/dev/ttyUS
   return null;
 }
 
-module.exports = { autoDetectSerialPort };
+const FRAMING_RE = /^([5-8])([NEOMS])([12])$/i;
+const PARITIES = { N: 'none', E: 'even', O: 'odd', M: 'mark', S: 'space' };
+
+function parseFraming(value) {
+  const match = FRAMING_RE.exec(String(value).trim());
+  if (!match) throw new Error(`serial: invalid framing "${value}" (expected data bits, parity, stop bits such as 8N1 or 7E1)`);
+  return { dataBits: Number(match[1]), parity: PARITIES[match[2].toUpperCase()], stopBits: Number(match[3]) };
+}
+
+function serialCandidates(baudRates, framings) {
+  const parsed = framings.map(parseFraming);
+  return baudRates.flatMap((baudRate) => {
+    if (!Number.isInteger(Number(baudRate)) || Number(baudRate) <= 0) {
+      throw new Error(`serial: invalid candidate baud rate "${baudRate}"`);
+    }
+    return parsed.map((framing) => ({ baudRate: Number(baudRate), ...framing }));
+  });
+}
+
+function round3(value) {
+  return Number(value.toFixed(3));
+}
+
+// A wrong baud rate or framing shows up as bytes outside printable ASCII and
+// as lines that lack the register's timestamp prefix. The score adds the
+// printable share of bytes to the share of lines carrying a timestamp.
+function scoreSample(sample, timestampPattern = null) {
+  if (!sample || sample.length === 0) return { bytes: 0, printable: 0, timestamps: 0, score: 0 };
+  let printable = 0;
+  sample.forEach((byte) => {
+    if ((byte >= 0x20 && byte <= 0x7e) || byte === 0x0a || byte === 0x0d || byte === 0x09) printable += 1;
+  });
+  const pattern = timestampPattern ? new RegExp(timestampPattern.source) : null;
+  const lines = sample.toString('latin1').split(/\r?\n/).filter((line) => line.trim() !== '');
+  const stamped = pattern ? lines.filter((line) => pattern.test(line)).length : 0;
+  const printableShare = printable / sample.length;
+  const timestampShare = lines.length > 0 ? stamped / lines.length : 0;
+  return {
+    bytes: sample.length,
+    printable: round3(printableShare),
+    timestamps: round3(timestampShare),
+    score: round3(printableShare + timestampShare),
+  };
+}
+
+function sampleSettings(SerialPort, portPath, settings, { sampleMs, sampleBytes }) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    let port = null;
+    let done = false;
+    let timer = null;
+
+    function finish(err) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      const result = { sample: Buffer.concat(chunks), error: err || null };
+      if (port && port.isOpen) port.close(() => resolve(result));
+      else resolve(result);
+    }
+
+    timer = setTimeout(() => finish(), sampleMs);
+    try {
+      port = new SerialPort({ path: portPath, ...settings, autoOpen: true });
+    } catch (err) {
+      finish(err);
+      return;
+    }
+    port.on('data', (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= sampleBytes) finish();
+    });
+    port.on('error', (err) => finish(err));
+  });
+}
+
+// Listens on each candidate in turn and returns the best scoring settings, or
+// null when the register sent nothing in any window (there is nothing to judge).
+async function detectSerialSettings({
+  path: portPath,
+  SerialPort,
+  candidates,
+  timestampPattern = null,
+  sampleMs = 5000,
+  sampleBytes = 512,
+}, logger = console) {
+  let best = null;
+  for (const settings of candidates) {
+    const { sample, error } = await sampleSettings(SerialPort, portPath, settings, { sampleMs, sampleBytes });
+    if (error) logger.warn?.('serial: probe failed', { port: portPath, ...settings, error: error.message });
+    const result = scoreSample(sample, timestampPattern);
+    logger.debug?.('serial: probed settings', { port: portPath, ...settings, ...result });
+    if (result.bytes > 0 && (!best || result.score > best.score)) best = { ...settings, score: result.score };
+  }
+  return best;
+}
+
+// Watches the share of unknown lines over the last windowSize lines and
+// reports a spike once it reaches threshold, then starts counting afresh.
+function createUnknownLineMonitor({ windowSize = 50, threshold = 0.5 } = {}) {
+  let window = [];
+
+  return {
+    observe(isUnknown) {
+      window.push(isUnknown ? 1 : 0);
+      if (window.length > windowSize) window.shift();
+      if (window.length < windowSize) return false;
+      const unknown = window.reduce((total, value) => total + value, 0);
+      if (unknown / windowSize < threshold) return false;
+      window = [];
+      return true;
+    },
+    reset() {
+      window = [];
+    },
+  };
+}
+
+module.exports = {
+  autoDetectSerialPort,
+  parseFraming,
+  serialCandidates,
+  scoreSample,
+  detectSerialSettings,
+  createUnknownLineMonitor,
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+const TTY_PATTERN = /^tty(?:USB|ACM)\d+$/;
+const MATCH_KEYS = ['byId', 'serialNumber', 'vendorId', 'productId'];
+
+function readAttribute(dir, file) {
+  try {
+    return fs.readFileSync(path.join(dir, file), 'utf8').trim();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Walks up from the tty's device directory to the USB device that owns it,
+// the first ancestor carrying idVendor/idProduct.
+function usbDeviceDir(ttyDir) {
+  let dir;
+  try {
+    dir = fs.realpathSync(path.join(ttyDir, 'device'));
+  } catch (err) {
+    return null;
+  }
+  while (dir && dir !== path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, 'idVendor'))) return dir;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+// USB serial adapters as the kernel reports them under <sysfsRoot>/class/tty.
+function listUsbSerialDevices({ sysfsRoot = '/sys', devRoot = '/dev' } = {}) {
+  const classDir = path.join(sysfsRoot, 'class', 'tty');
+  let names;
+  try {
+    names = fs.readdirSync(classDir).filter((name) => TTY_PATTERN.test(name));
+  } catch (err) {
+    return [];
+  }
+  return names
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map((name) => {
+      const usbDir = usbDeviceDir(path.join(classDir, name));
+      return {
+        name,
+        path: path.join(devRoot, name),
+        vendorId: usbDir ? readAttribute(usbDir, 'idVendor') : null,
+        productId: usbDir ? readAttribute(usbDir, 'idProduct') : null,
+        serialNumber: usbDir ? readAttribute(usbDir, 'serial') : null,
+      };
+    });
+}
+
+function portMatcher(port) {
+  const match = {};
+  MATCH_KEYS.forEach((key) => {
+    if (port[key]) match[key] = String(port[key]);
+  });
+  return Object.keys(match).length > 0 ? match : null;
+}
+
+function sameId(a, b) {
+  return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+// Finds the current /dev node for a port bound by USB identity. A by-id path
+// is followed as a symlink; otherwise every given attribute must match and
+// more than one matching adapter is refused rather than guessed.
+function resolvePortIdentity(match, { sysfsRoot = '/sys', devRoot = '/dev' } = {}, logger = console) {
+  if (match.byId) {
+    const byIdPath = path.isAbsolute(match.byId) ? match.byId : path.join(devRoot, 'serial', 'by-id', match.byId);
+    try {
+      return fs.realpathSync(byIdPath);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  const candidates = listUsbSerialDevices({ sysfsRoot, devRoot }).filter((device) => ['serialNumber', 'vendorId', 'productId']
+    .every((key) => !match[key] || sameId(device[key], match[key])));
+  if (candidates.length > 1) {
+    logger.warn?.('serial: several adapters match, add a serial number to tell them apart', {
+      match,
+      devices: candidates.map((device) => device.path),
+    });
+    return null;
+  }
+  return candidates.length === 1 ? candidates[0].path : null;
+}
+
+// Calls onChange (debounced) whenever a serial device node appears or
+// disappears under devRoot, so a re-plugged adapter reconnects at once.
+function watchSerialDevices({ devRoot = '/dev', debounceMs = 500, onChange }, logger = console) {
+  let timer = null;
+  let watcher;
+  try {
+    watcher = fs.watch(devRoot, (event, filename) => {
+      if (filename && !TTY_PATTERN.test(filename) && filename !== 'serial') return;
+      clearTimeout(timer);
+      timer = setTimeout(onChange, debounceMs);
+    });
+  } catch (err) {
+    logger.warn?.(`serial: cannot watch ${devRoot} for hot-plug – ${err.message}`);
+    return { close() {} };
+  }
+  watcher.on('error', (err) => {
+    logger.warn?.(`serial: hot-plug watch on ${devRoot} failed – ${err.message}`);
+  });
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+module.exports = { listUsbSerialDevices, portMatcher, resolvePortIdentity, watchSerialDevices };
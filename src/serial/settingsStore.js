@@ -0,0 +1,49 @@
+// Remembers the baud rate and framing detected for each port so a restart
+// opens it with the locked-in settings instead of probing again.
+function createSerialSettingsStore({ db = null } = {}, logger = console) {
+  if (!db) {
+    const settings = new Map();
+    logger.warn?.('serial settings: no database, detected settings will not survive a restart');
+    return {
+      load(port) { return settings.get(port) || null; },
+      save(port, value) { settings.set(port, { ...value }); },
+      clear(port) { settings.delete(port); },
+    };
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS serial_settings (
+      port TEXT PRIMARY KEY,
+      settings TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+
+  const upsertStmt = db.prepare('INSERT OR REPLACE INTO serial_settings(port,settings,updated_at) VALUES(?,?,?)');
+  const selectStmt = db.prepare('SELECT settings FROM serial_settings WHERE port = ?');
+  const deleteStmt = db.prepare('DELETE FROM serial_settings WHERE port = ?');
+
+  function load(port) {
+    const row = selectStmt.get(port);
+    if (!row) return null;
+    try {
+      return JSON.parse(row.settings);
+    } catch (err) {
+      logger.warn?.(`serial settings: discarding unreadable settings for ${port} – ${err.message}`);
+      deleteStmt.run(port);
+      return null;
+    }
+  }
+
+  function save(port, value) {
+    upsertStmt.run(port, JSON.stringify(value), Math.floor(Date.now() / 1000));
+  }
+
+  function clear(port) {
+    deleteStmt.run(port);
+  }
+
+  return { load, save, clear };
+}
+
+module.exports = { createSerialSettingsStore };
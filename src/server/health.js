@@ -1,15 +1,97 @@
 const http = require('node:http');
 
-function startHealthServer({ queue, metrics, version, port = 3000, host = '0.0.0.0' }, logger = console) {
+const DEAD_LETTER_ITEM_RE = /^\/dead-letters\/(\d+)(\/requeue)?$/;
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function nonNegativeInt(value, fallback, max = Infinity) {
+  if (value === null || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) return fallback;
+  return Math.min(parsed, max);
+}
+
+// Admin routes for jobs that left the delivery queue. Listing omits the job
+// body; fetch a single entry to see it. Requeue and purge act on one entry by
+// id or on every entry (optionally limited with ?topic=).
+function handleDeadLetters(req, res, url, queue) {
+  if (!queue?.listDeadLetters) {
+    sendJson(res, 404, { error: 'dead letters unavailable' });
+    return;
+  }
+  const topic = url.searchParams.get('topic') || null;
+  const item = DEAD_LETTER_ITEM_RE.exec(url.pathname);
+
+  if (url.pathname === '/dead-letters') {
+    if (req.method === 'GET') {
+      const limit = nonNegativeInt(url.searchParams.get('limit'), 100, 1000);
+      const offset = nonNegativeInt(url.searchParams.get('offset'), 0);
+      sendJson(res, 200, {
+        total: queue.deadLetterCount(),
+        dead_letters: queue.listDeadLetters({ topic, limit, offset }),
+      });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      sendJson(res, 200, { purged: queue.purgeDeadLetters({ topic }) });
+      return;
+    }
+  } else if (url.pathname === '/dead-letters/requeue') {
+    if (req.method === 'POST') {
+      sendJson(res, 200, { requeued: queue.requeueDeadLetters({ topic }) });
+      return;
+    }
+  } else if (item) {
+    const id = Number(item[1]);
+    const requeue = Boolean(item[2]);
+    if (req.method === 'GET' && !requeue) {
+      const letter = queue.getDeadLetter(id);
+      if (!letter) sendJson(res, 404, { error: `dead letter ${id} not found` });
+      else sendJson(res, 200, letter);
+      return;
+    }
+    if ((req.method === 'POST' && requeue) || (req.method === 'DELETE' && !requeue)) {
+      const count = requeue ? queue.requeueDeadLetters({ id }) : queue.purgeDeadLetters({ id });
+      if (count === 0) sendJson(res, 404, { error: `dead letter ${id} not found` });
+      else sendJson(res, 200, requeue ? { requeued: count } : { purged: count });
+      return;
+    }
+  } else {
+    sendJson(res, 404, { error: 'not found' });
+    return;
+  }
+  sendJson(res, 405, { error: `${req.method} not allowed on ${url.pathname}` });
+}
+
+function startHealthServer({
+  queue,
+  metrics,
+  dispatcher = null,
+  version,
+  port = 3000,
+  host = '0.0.0.0',
+  adminToken = null,
+}, logger = console) {
   const server = http.createServer((req, res) => {
-    if (req.url === '/healthz') {
-      const payload = JSON.stringify({ status: 'ok', queue_depth: queue?.depth?.() || 0, version });
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/healthz') {
+      const payload = JSON.stringify({
+        status: 'ok',
+        queue_depth: queue?.depth?.() || 0,
+        dead_letters: queue?.deadLetterCount?.() || 0,
+        ...(dispatcher ? { destinations: dispatcher.destinations() } : {}),
+        version,
+      });
       res.writeHead(200, { 'content-type': 'application/json' });
       res.end(payload);
       return;
     }
 
-    if (req.url === '/metrics') {
+    if (url.pathname === '/metrics') {
       if (!metrics) {
         res.writeHead(404, { 'content-type': 'text/plain' });
         res.end('metrics disabled');
@@ -18,11 +100,30 @@ function startHealthServer({ queue, metrics, version, port = 3000, host = '0.0.0
       if (queue?.depth) {
         metrics.setGauge('micromanager_queue_depth', queue.depth());
       }
+      if (queue?.deadLetterCount) {
+        metrics.setGauge('micromanager_dead_letters', queue.deadLetterCount());
+      }
       res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4' });
       res.end(`${metrics.toPrometheus()}\n`);
       return;
     }
 
+    // The dead-letter routes expose full payloads, so they only exist once an
+    // admin token is configured.
+    if (adminToken && (url.pathname === '/dead-letters' || url.pathname.startsWith('/dead-letters/'))) {
+      if (req.headers.authorization !== `Bearer ${adminToken}`) {
+        sendJson(res, 401, { error: 'unauthorized' });
+        return;
+      }
+      try {
+        handleDeadLetters(req, res, url, queue);
+      } catch (err) {
+        logger.error?.('health: dead letter request failed', { url: req.url, error: err.message });
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
     res.writeHead(404, { 'content-type': 'text/plain' });
     res.end('not found');
   });
@@ -1,17 +1,38 @@
 const DEFAULT_HISTOGRAM_BUCKETS = [50, 100, 250, 500, 1000, 2000, 5000, 10000];
 
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Counters and gauges keep one series per label set under each metric name.
 function createMetricsRegistry() {
   const counters = new Map();
   const gauges = new Map();
   const histograms = new Map();
 
-  function incCounter(name, value = 1) {
-    const current = counters.get(name) || 0;
-    counters.set(name, current + value);
+  function seriesFor(store, name) {
+    let series = store.get(name);
+    if (!series) {
+      series = new Map();
+      store.set(name, series);
+    }
+    return series;
+  }
+
+  function incCounter(name, value = 1, labels = {}) {
+    const series = seriesFor(counters, name);
+    const key = labelString(labels);
+    series.set(key, (series.get(key) || 0) + value);
   }
 
-  function setGauge(name, value) {
-    gauges.set(name, value);
+  function setGauge(name, value, labels = {}) {
+    seriesFor(gauges, name).set(labelString(labels), value);
   }
 
   function observeHistogram(name, value, buckets = DEFAULT_HISTOGRAM_BUCKETS) {
@@ -37,14 +58,14 @@ function createMetricsRegistry() {
 
   function toPrometheus() {
     const lines = [];
-    gauges.forEach((value, name) => {
+    gauges.forEach((series, name) => {
       lines.push(`# TYPE ${name} gauge`);
-      lines.push(`${name} ${value}`);
+      series.forEach((value, labels) => lines.push(`${name}${labels} ${value}`));
     });
 
-    counters.forEach((value, name) => {
+    counters.forEach((series, name) => {
       lines.push(`# TYPE ${name} counter`);
-      lines.push(`${name} ${value}`);
+      series.forEach((value, labels) => lines.push(`${name}${labels} ${value}`));
     });
 
     histograms.forEach((hist, name) => {
@@ -0,0 +1,82 @@
+const DEFAULT_PASSING_RESULTS = ['PASS', 'PASSED', 'VERIFIED', 'APPROVED', 'ACCEPTED', 'OK'];
+
+function ageOn(dob, atIso) {
+  const birth = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dob || '');
+  const at = atIso ? new Date(atIso) : null;
+  if (!birth || !at || Number.isNaN(at.getTime())) return null;
+  const [year, month, day] = [Number(birth[1]), Number(birth[2]), Number(birth[3])];
+  let age = at.getUTCFullYear() - year;
+  if (at.getUTCMonth() + 1 < month || (at.getUTCMonth() + 1 === month && at.getUTCDate() < day)) age -= 1;
+  return age;
+}
+
+// Decides which sold items are age-restricted and whether the transaction
+// carried a passing age check. A keyed-in birth date (MANUAL ENTRY OVERRIDE
+// followed by the date) passes only when it clears minimumAge.
+function createCompliancePolicy({
+  restrictedDepartments = [],
+  restrictedTaxClasses = [],
+  restrictedPatterns = [],
+  minimumAge = 21,
+  passingResults = DEFAULT_PASSING_RESULTS,
+} = {}) {
+  const departments = new Set(restrictedDepartments.map((value) => String(value).toUpperCase()));
+  const taxClasses = new Set(restrictedTaxClasses.map((value) => String(value).toUpperCase()));
+  const passing = new Set(passingResults.map((value) => String(value).toUpperCase()));
+  const patterns = restrictedPatterns.map((pattern) => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (err) {
+      throw new Error(`compliance: invalid restricted pattern "${pattern}" – ${err.message}`);
+    }
+  });
+
+  function isRestricted(line) {
+    if (line.department && departments.has(line.department.toUpperCase())) return true;
+    if (line.tax_class && taxClasses.has(line.tax_class.toUpperCase())) return true;
+    return patterns.some((pattern) => pattern.test(line.description || ''));
+  }
+
+  function verifications(lines) {
+    const results = [];
+    lines.forEach((line) => {
+      const base = {
+        transaction_number: line.referenced_transaction_number || null,
+        pos_timestamp: line.pos_timestamp || null,
+      };
+      if (line.line_type === 'age_verification') {
+        const result = (line.verification_result || '').toUpperCase() || null;
+        results.push({ ...base, method: 'scan', result, dob: null, age: null, passed: passing.has(result) });
+      } else if (line.line_type === 'manual_override') {
+        results.push({ ...base, method: 'manual_entry', result: null, dob: null, age: null, passed: false });
+      } else if (line.line_type === 'dob_entry') {
+        let entry = results[results.length - 1];
+        if (!entry || entry.method !== 'manual_entry' || entry.dob !== null) {
+          entry = { ...base, method: 'dob_entry' };
+          results.push(entry);
+        }
+        entry.dob = line.dob || null;
+        entry.age = ageOn(entry.dob, line.pos_timestamp || line.device_timestamp);
+        entry.passed = entry.age !== null && entry.age >= minimumAge;
+        entry.result = entry.passed ? 'PASSED' : 'UNDERAGE';
+      }
+    });
+    return results;
+  }
+
+  function check(lines) {
+    const ageVerifications = verifications(lines);
+    const restricted = lines.filter((line) => line.line_type === 'item' && isRestricted(line));
+    const verified = ageVerifications.some((entry) => entry.passed);
+    return {
+      age_verifications: ageVerifications,
+      age_verified: verified,
+      restricted_items: restricted.map((line) => line.description),
+      compliance_flags: restricted.length > 0 && !verified ? ['compliance_violation'] : [],
+    };
+  }
+
+  return { check, isRestricted };
+}
+
+module.exports = { createCompliancePolicy, ageOn };
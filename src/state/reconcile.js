@@ -0,0 +1,105 @@
+const ITEM_LINE_TYPES = ['item', 'error_correct', 'void', 'refund', 'discount', 'coupon', 'fuel_prepay', 'fuel_postpay'];
+const TENDER_LINE_TYPES = ['cash', 'debit', 'credit', 'preauth', 'ebt', 'gift_card', 'check', 'mobile'];
+// Lines carrying the store and transaction number: the Verifone footer or an
+// ESC/POS receipt header.
+const HEADER_LINE_TYPES = ['end_header', 'receipt_header'];
+
+function round2(value) {
+  return Number(value.toFixed(2));
+}
+
+function sumAmounts(lines, types) {
+  const matching = lines.filter((line) => types.includes(line.line_type) && typeof line.amount === 'number');
+  if (matching.length === 0) return null;
+  return round2(matching.reduce((total, line) => total + line.amount, 0));
+}
+
+function positionFlags(lines) {
+  const flags = [];
+  const positions = lines.map((line) => line.transaction_position).filter(Number.isInteger);
+  if (new Set(positions).size !== positions.length) flags.push('duplicate_position');
+  const sorted = [...new Set(positions)].sort((a, b) => a - b);
+  if (sorted.some((position, index) => position !== index)) flags.push('position_gap');
+  return flags;
+}
+
+// Cross-checks a finished transaction's lines. Items (plus tax) should add up
+// to TOTAL and tenders minus change should cover it. Many registers print
+// neither tax nor change, so without a TAX line the total may exceed the items
+// by up to maxTaxRate, and without a CHANGE line the customer may overtender.
+function reconcileTransaction(lines, {
+  tolerance = 0.01,
+  maxTaxRate = 0.15,
+  tenderTypes = TENDER_LINE_TYPES,
+} = {}) {
+  const flags = [];
+  const totalLine = lines.filter((line) => line.line_type === 'total' && typeof line.amount === 'number').pop();
+  const total = totalLine ? totalLine.amount : null;
+
+  const fuelGradeSum = lines.some((line) => line.line_type === 'fuel_prepay' || line.line_type === 'fuel_postpay')
+    ? null
+    : sumAmounts(lines, ['fuel_grade']);
+  const itemsSum = round2((sumAmounts(lines, ITEM_LINE_TYPES) || 0) + (fuelGradeSum || 0));
+  const taxSum = sumAmounts(lines, ['tax']);
+  const changeSum = sumAmounts(lines, ['change']);
+  const tenderedSum = sumAmounts(lines, tenderTypes);
+  const tenderSum = tenderedSum === null ? null : round2(tenderedSum - Math.abs(changeSum || 0));
+
+  // Voided and suspended tickets never tender, so there is nothing to balance.
+  // A suspended ticket also stops before the register prints its header.
+  const voided = lines.some((line) => line.line_type === 'void_transaction');
+  const suspended = lines.some((line) => line.line_type === 'suspend');
+
+  if (!suspended && !lines.some((line) => HEADER_LINE_TYPES.includes(line.line_type))) flags.push('missing_header');
+  flags.push(...positionFlags(lines));
+
+  let delta = null;
+  let tenderDelta = null;
+  const balance = !voided && !suspended;
+  if (balance && total === null) {
+    flags.push('missing_total');
+  } else if (balance) {
+    delta = round2(total - itemsSum - (taxSum || 0));
+    const itemsBalanced = taxSum !== null
+      ? Math.abs(delta) <= tolerance
+      : delta >= -tolerance && delta <= Math.abs(itemsSum) * maxTaxRate + tolerance;
+    if (!itemsBalanced) flags.push('items_total_mismatch');
+
+    if (tenderSum === null) {
+      if (Math.abs(total) > tolerance) flags.push('missing_tender');
+    } else {
+      tenderDelta = round2(tenderSum - total);
+      const tenderBalanced = changeSum !== null
+        ? Math.abs(tenderDelta) <= tolerance
+        : tenderDelta >= -tolerance;
+      if (!tenderBalanced) flags.push('tender_total_mismatch');
+    }
+  }
+
+  let status = 'balanced';
+  if (voided) status = 'voided';
+  else if (suspended) status = 'suspended';
+  else if (total === null) status = 'incomplete';
+  else if (flags.some((flag) => flag.endsWith('_mismatch') || flag === 'missing_tender')) status = 'mismatch';
+
+  return {
+    reconciliation: {
+      total,
+      items_sum: itemsSum,
+      tax_sum: taxSum,
+      tender_sum: tenderSum,
+      change_sum: changeSum,
+      delta,
+      tender_delta: tenderDelta,
+      status,
+    },
+    integrity_flags: flags,
+  };
+}
+
+module.exports = {
+  reconcileTransaction,
+  ITEM_LINE_TYPES,
+  TENDER_LINE_TYPES,
+  HEADER_LINE_TYPES,
+};
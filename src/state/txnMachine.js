@@ -1,12 +1,42 @@
-const { splitMashedEnd, classify } = require('../parser/verifoneCommander');
+const { getParser } = require('../parser/registry');
+const { ITEM_LINE_TYPES, TENDER_LINE_TYPES, HEADER_LINE_TYPES } = require('./reconcile');
 const { randomUUID } = require('crypto');
 
-function makeTxnMachine({ onStart, onLine, onEnd, onParseError }) {
+const STATES = ['IDLE', 'ITEMIZING', 'TENDERING', 'CLOSING', 'SUSPENDED', 'RECALLED'];
+const ITEMIZING_TYPES = [...ITEM_LINE_TYPES, 'fuel_grade'];
+const CLOSING_TYPES = ['end_header', 'cashier', 'cut'];
+
+// Lifecycle state a line moves an open transaction into, and the transition
+// event it raises. Lines that do not move the lifecycle return null.
+function transitionFor(current, c, tenderStarted) {
+  if (c.type === 'suspend') return { to: 'SUSPENDED', event: 'suspended' };
+  if (c.type === 'recall') return { to: 'RECALLED', event: 'recalled' };
+  if (CLOSING_TYPES.includes(c.type)) return current === 'CLOSING' ? null : { to: 'CLOSING', event: 'closing' };
+  if (c.type === 'total') return { to: 'TENDERING', event: 'total_reached' };
+  if (TENDER_LINE_TYPES.includes(c.type) && !tenderStarted) return { to: 'TENDERING', event: 'tender_started' };
+  if (ITEMIZING_TYPES.includes(c.type) && current !== 'ITEMIZING') return { to: 'ITEMIZING', event: 'itemizing' };
+  return null;
+}
+
+function makeTxnMachine({
+  parser = getParser(),
+  idleTimeoutMs = 0,
+  onStart,
+  onLine,
+  onEnd,
+  onTransition,
+  onParseError,
+}) {
+  const { splitMashedEnd, classify, startsTransaction, endsTransaction } = parser;
+  const itemModifiers = parser.itemModifiers || {};
   let state = 'IDLE';
   let pos = 0;
   let meta = null;
   let startedAt = null;
   let currentTxnId = null;
+  let pendingModifier = null;
+  let lastLineMs = null;
+  let tenderStarted = false;
 
   function reset() {
     state = 'IDLE';
@@ -14,27 +44,70 @@ function makeTxnMachine({ onStart, onLine, onEnd, onParseError }) {
     meta = null;
     startedAt = null;
     currentTxnId = null;
+    pendingModifier = null;
+    lastLineMs = null;
+    tenderStarted = false;
+  }
+
+  function transition(to, event, nowMs, c = null, extra = {}) {
+    const from = state;
+    state = to;
+    if (typeof onTransition === 'function') {
+      onTransition({ event, from, to, nowMs, txnId: currentTxnId, c, ...extra });
+    }
+  }
+
+  function begin(nowMs) {
+    startedAt = new Date(nowMs).toISOString();
+    currentTxnId = randomUUID();
+    if (typeof onStart === 'function') onStart(nowMs, currentTxnId);
+    transition('ITEMIZING', 'started', nowMs);
+  }
+
+  function end(nowMs, status) {
+    const finalState = state;
+    if (typeof onEnd === 'function') {
+      onEnd({ nowMs, meta, startedAt, lastPos: pos, txnId: currentTxnId, status, state: finalState });
+    }
+    transition('IDLE', 'ended', nowMs, null, { status });
+    reset();
+  }
+
+  // Force-closes a transaction whose closing line never arrived (noise, cable
+  // pull, failed mashed split). It ends at its last line, not at detection.
+  function checkIdle(nowMs) {
+    if (state === 'IDLE' || !idleTimeoutMs || lastLineMs === null) return false;
+    if (nowMs - lastLineMs < idleTimeoutMs) return false;
+    end(lastLineMs, 'timed_out');
+    return true;
+  }
+
+  // A VOID or ERROR CORRECT marker only applies to the line right after it;
+  // any other line in between cancels it.
+  function applyModifier(c) {
+    if (pendingModifier && c.type === 'item') {
+      const type = pendingModifier;
+      pendingModifier = null;
+      return { ...c, type, referencedItem: c.desc };
+    }
+    pendingModifier = itemModifiers[c.type] || null;
+    return c;
   }
 
   function emitLine(payload) {
     if (typeof onLine === 'function') onLine(payload);
   }
 
-  function handleClassified({ nowMs, c, raw }) {
-    if (c.type === 'empty' || c.type === 'ignore') return;
+  function handleClassified({ nowMs, c: classified, raw }) {
+    if (classified.type === 'empty' || classified.type === 'ignore') return;
+    const c = applyModifier(classified);
 
     if (state === 'IDLE') {
-      if (['item', 'total', 'cash', 'debit', 'unknown'].includes(c.type)) {
-        state = 'IN_TXN';
-        startedAt = new Date(nowMs).toISOString();
-        currentTxnId = randomUUID();
-        if (typeof onStart === 'function') onStart(nowMs, currentTxnId);
-      } else {
-        return;
-      }
+      if (!startsTransaction(c)) return;
+      begin(nowMs);
     }
 
-    if (c.type === 'end_header') {
+    if (HEADER_LINE_TYPES.includes(c.type)) {
       meta = {
         ...(meta || {}),
         store_id: c.store,
@@ -43,35 +116,59 @@ function makeTxnMachine({ onStart, onLine, onEnd, onParseError }) {
       };
     }
 
+    const next = transitionFor(state, c, tenderStarted);
+    if (next) transition(next.to, next.event, nowMs, c);
+    if (TENDER_LINE_TYPES.includes(c.type)) tenderStarted = true;
+
     if (typeof onParseError === 'function' && c.type === 'unknown') {
       onParseError({ nowMs, raw });
     }
 
-    emitLine({ nowMs, pos: pos++, c, meta, startedAt, raw, txnId: currentTxnId });
+    lastLineMs = nowMs;
+    emitLine({ nowMs, pos: pos++, c, meta, startedAt, raw, txnId: currentTxnId, state });
 
-    if (c.type === 'cashier') {
-      if (typeof onEnd === 'function') {
-        onEnd({ nowMs, meta, startedAt, lastPos: pos, txnId: currentTxnId });
-      }
-      reset();
+    if (state === 'SUSPENDED') {
+      end(nowMs, 'suspended');
+    } else if (endsTransaction(c)) {
+      end(nowMs, 'completed');
     }
   }
 
+  function snapshot() {
+    if (state === 'IDLE') return null;
+    return { state, pos, meta, startedAt, txnId: currentTxnId, pendingModifier, lastLineMs, tenderStarted };
+  }
+
+  function restore(saved) {
+    if (!saved || saved.state === 'IDLE') return;
+    ({ pos, meta, startedAt, pendingModifier, lastLineMs } = saved);
+    state = STATES.includes(saved.state) ? saved.state : 'ITEMIZING';
+    currentTxnId = saved.txnId;
+    tenderStarted = Boolean(saved.tenderStarted);
+  }
+
+  function close(nowMs, status) {
+    if (state === 'IDLE') return false;
+    end(nowMs, status);
+    return true;
+  }
+
   return {
+    checkIdle,
+    snapshot,
+    restore,
+    close,
+    get state() {
+      return state;
+    },
     feed(raw, nowMs) {
-      const pair = splitMashedEnd(raw);
-      if (pair) {
-        if (state === 'IDLE') {
-          state = 'IN_TXN';
-          startedAt = new Date(nowMs).toISOString();
-          currentTxnId = randomUUID();
-          if (typeof onStart === 'function') onStart(nowMs, currentTxnId);
-        }
-        const [hdr, csh] = pair;
-        const headerClass = classify(hdr);
-        handleClassified({ nowMs, c: headerClass, raw: hdr });
-        const cashierClass = classify(csh);
-        handleClassified({ nowMs, c: cashierClass, raw: csh });
+      checkIdle(nowMs);
+      const parts = splitMashedEnd(raw);
+      if (parts) {
+        if (state === 'IDLE' && !endsTransaction(classify(parts[0]))) begin(nowMs);
+        parts.forEach((part) => {
+          handleClassified({ nowMs, c: classify(part), raw: part });
+        });
         return;
       }
 
@@ -81,4 +178,4 @@ function makeTxnMachine({ onStart, onLine, onEnd, onParseError }) {
   };
 }
 
-module.exports = { makeTxnMachine };
+module.exports = { makeTxnMachine, STATES };
@@ -0,0 +1,50 @@
+// Keeps a snapshot of the open transaction next to the job queue so a restart
+// can pick it up where it left off. Each channel (serial port) has at most one
+// open transaction, stored under its own key.
+function createTxnStore({ db = null, channel = 'default' } = {}, logger = console) {
+  if (!db) {
+    let snapshot = null;
+    logger.warn?.('txn store: no database, open transactions will not survive a restart');
+    return {
+      save(value) { snapshot = JSON.parse(JSON.stringify(value)); },
+      load() { return snapshot; },
+      clear() { snapshot = null; },
+    };
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS open_transaction (
+      channel TEXT PRIMARY KEY,
+      snapshot TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+
+  const upsertStmt = db.prepare('INSERT OR REPLACE INTO open_transaction(channel,snapshot,updated_at) VALUES(?,?,?)');
+  const selectStmt = db.prepare('SELECT snapshot FROM open_transaction WHERE channel = ?');
+  const deleteStmt = db.prepare('DELETE FROM open_transaction WHERE channel = ?');
+
+  function save(value) {
+    upsertStmt.run(channel, JSON.stringify(value), Math.floor(Date.now() / 1000));
+  }
+
+  function load() {
+    const row = selectStmt.get(channel);
+    if (!row) return null;
+    try {
+      return JSON.parse(row.snapshot);
+    } catch (err) {
+      logger.warn?.(`txn store: discarding unreadable snapshot for ${channel} – ${err.message}`);
+      deleteStmt.run(channel);
+      return null;
+    }
+  }
+
+  function clear() {
+    deleteStmt.run(channel);
+  }
+
+  return { save, load, clear };
+}
+
+module.exports = { createTxnStore };
@@ -0,0 +1,81 @@
+const VIDEO_CLOCK_SOURCES = ['device', 'pos', 'auto'];
+
+// Tracks the register clock against the edge clock using the POS timestamp
+// on each line. The offset is smoothed because the register only prints whole
+// seconds and serial delivery adds a little latency. Samples further apart
+// than maxOffsetSeconds (a reprinted or replayed receipt, a register date typo)
+// are dropped rather than folded in.
+function createClockDriftMonitor({
+  warnSeconds = 120,
+  maxOffsetSeconds = 86400,
+  smoothing = 0.2,
+  videoClockSource = 'device',
+  metrics = null,
+  labels = {},
+} = {}, logger = console) {
+  if (!VIDEO_CLOCK_SOURCES.includes(videoClockSource)) {
+    throw new Error(`clock: invalid video clock source "${videoClockSource}" (expected ${VIDEO_CLOCK_SOURCES.join('|')})`);
+  }
+
+  let offsetMs = null;
+  let drifted = false;
+  let outlierLogged = false;
+
+  function publish() {
+    if (!metrics) return;
+    metrics.setGauge('micromanager_pos_clock_offset_seconds', Number((offsetMs / 1000).toFixed(3)), labels);
+    metrics.setGauge('micromanager_pos_clock_drift_exceeded', drifted ? 1 : 0, labels);
+  }
+
+  function observe(posIso, deviceMs) {
+    const posMs = posIso ? Date.parse(posIso) : NaN;
+    if (!Number.isFinite(posMs) || !Number.isFinite(deviceMs)) return offsetMs;
+    const sample = posMs - deviceMs;
+    if (maxOffsetSeconds > 0 && Math.abs(sample) > maxOffsetSeconds * 1000) {
+      if (!outlierLogged) {
+        logger.warn?.('clock: ignoring POS timestamps too far from the edge clock', {
+          ...labels,
+          offset_seconds: Math.round(sample / 1000),
+          max_offset_seconds: maxOffsetSeconds,
+        });
+        outlierLogged = true;
+      }
+      return offsetMs;
+    }
+    offsetMs = offsetMs === null ? sample : offsetMs + smoothing * (sample - offsetMs);
+
+    const exceeded = warnSeconds > 0 && Math.abs(offsetMs) > warnSeconds * 1000;
+    if (exceeded && !drifted) {
+      logger.warn?.('clock: POS and edge clocks have drifted apart', {
+        ...labels,
+        offset_seconds: Math.round(offsetMs / 1000),
+        threshold_seconds: warnSeconds,
+      });
+    } else if (!exceeded && drifted) {
+      logger.info?.('clock: POS and edge clocks back within threshold', { ...labels, offset_seconds: Math.round(offsetMs / 1000) });
+    }
+    drifted = exceeded;
+    publish();
+    return offsetMs;
+  }
+
+  function usePosClock() {
+    if (offsetMs === null) return false;
+    return videoClockSource === 'pos' || (videoClockSource === 'auto' && drifted);
+  }
+
+  // Maps an edge timestamp onto the clock used for video bookmarks.
+  function videoTime(deviceMs) {
+    const ms = usePosClock() ? deviceMs + offsetMs : deviceMs;
+    return { iso: new Date(ms).toISOString(), source: usePosClock() ? 'pos' : 'device' };
+  }
+
+  return {
+    observe,
+    videoTime,
+    offsetSeconds: () => (offsetMs === null ? null : Number((offsetMs / 1000).toFixed(3))),
+    isDrifted: () => drifted,
+  };
+}
+
+module.exports = { createClockDriftMonitor };
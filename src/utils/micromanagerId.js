@@ -39,13 +39,21 @@ function portSuffixFrom(serialPort) {
   return '0';
 }
 
-function deriveMicromanagerId({ env = process.env, serialPort, fallbackSerialPort } = {}) {
+// Ports bound by USB identity keep their suffix across renumbering by taking
+// it from the port's configured name instead of its current tty number.
+function nameSuffixFrom(portName) {
+  const endingDigits = portName.match(/(\d+)$/);
+  if (endingDigits) return endingDigits[1];
+  return portName.toLowerCase().replace(/[^a-z0-9]+/g, '') || '0';
+}
+
+function deriveMicromanagerId({ env = process.env, serialPort, fallbackSerialPort, portName } = {}) {
   if (env?.MICROMANAGER_ID) return env.MICROMANAGER_ID;
   if (env?.DEVICE_ID) return env.DEVICE_ID;
 
   const macValue = normalizeMac(pickMac(env));
   const lastSix = macValue ? macValue.slice(-6) : '000000';
-  const portSuffix = portSuffixFrom(serialPort || fallbackSerialPort);
+  const portSuffix = portName ? nameSuffixFrom(portName) : portSuffixFrom(serialPort || fallbackSerialPort);
 
   return `mmd-rv1-${lastSix}-${portSuffix}`;
 }
@@ -0,0 +1,59 @@
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function resolveTimeZone(timeZone) {
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    formatterFor(zone);
+  } catch (err) {
+    throw new Error(`pos time: invalid time zone "${zone}" – ${err.message}`);
+  }
+  return zone;
+}
+
+// Offset (ms) of the zone from UTC at the given instant.
+function zoneOffsetMs(utcMs, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(utcMs)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (utcMs - (utcMs % 1000));
+}
+
+// Converts a register wall-clock reading (MM/DD/YY, HH:MM:SS) in the store's
+// time zone to a UTC ISO string. Returns null when the reading is malformed.
+function posLocalToUtc(date, time, timeZone) {
+  const d = /^(\d{2})\/(\d{2})\/(\d{2})$/.exec(date || '');
+  const t = /^(\d{2}):(\d{2}):(\d{2})$/.exec(time || '');
+  if (!d || !t) return null;
+  const [month, day, year] = [Number(d[1]), Number(d[2]), 2000 + Number(d[3])];
+  const [hour, minute, second] = [Number(t[1]), Number(t[2]), Number(t[3])];
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) return null;
+
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  const zone = resolveTimeZone(timeZone);
+  let utcMs = wallMs - zoneOffsetMs(wallMs, zone);
+  // Second pass settles readings near a DST transition.
+  utcMs = wallMs - zoneOffsetMs(utcMs, zone);
+  return new Date(utcMs).toISOString();
+}
+
+module.exports = { posLocalToUtc, resolveTimeZone };
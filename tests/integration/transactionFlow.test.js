@@ -33,30 +33,37 @@ describe('end-to-end transaction flow', () => {
       job = queue.due(Date.now() + 1000);
     }
 
-    expect(jobs).toHaveLength(2);
+    const lines = jobs.filter((queued) => queued.topic === 'transaction_line').map((queued) => JSON.parse(queued.body));
+    const summaries = jobs.filter((queued) => queued.topic === 'transactions').map((queued) => JSON.parse(queued.body));
+    expect(lines).toHaveLength(6);
+    expect(summaries).toHaveLength(1);
 
-    const linesJob = JSON.parse(jobs[0].body);
-    expect(linesJob.lines).toHaveLength(6);
-    expect(linesJob.lines[0]).toMatchObject({
+    expect(lines.map((line) => line.transaction_position)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(lines[0]).toMatchObject({
       line_type: 'item',
       description: 'MTN DEW',
       qty: 1,
       amount: 2.49,
-      transaction_number: '1023612',
     });
-    const negativeLine = linesJob.lines.find((line) => line.description.startsWith('REFUND'));
+    const negativeLine = lines.find((line) => line.line_type === 'refund');
     expect(negativeLine).toMatchObject({ amount: -1, parsed_successfully: true });
-    expect(new Set(linesJob.lines.map((line) => line.pos_metadata.drawer_id))).toEqual(new Set(['1']));
+    expect(lines[lines.length - 1]).toMatchObject({ transaction_number: '1023612' });
+    expect(new Set(lines.map((line) => line.pos_metadata.drawer_id))).toEqual(new Set(['1']));
+    expect(new Set(lines.map((line) => line.transaction_uuid))).toEqual(new Set([summaries[0].transaction_uuid]));
 
-    const txnJob = JSON.parse(jobs[1].body);
-    expect(txnJob).toMatchObject({
+    const [txn] = summaries;
+    expect(txn).toMatchObject({
       transaction_number: '1023612',
-      drawer_id: '1',
-      store_id: 'AB123',
-      item_count: 2,
-      total: 2.49,
+      status: 'completed',
+      item_count: 1,
+      line_count: 6,
+      total_amount: 2.49,
+      cash_amount: 5,
+      refund_count: 1,
+      refund_amount: 1,
+      pos_metadata: { drawer_id: '1', store_id: 'AB123' },
     });
-    expect(txnJob.tenders).toMatchObject({ cash: 5 });
+    expect(txn.tenders).toEqual([expect.objectContaining({ type: 'cash', amount: 5 })]);
     const dbPath = process.env.QUEUE_DB_PATH;
     if (dbPath && fs.existsSync(dbPath)) {
       fs.unlinkSync(dbPath);
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  createCaptureRecorder,
+  readCapture,
+  parseReplaySpeed,
+  replayCapture,
+} = require('../../src/ingest/capture');
+
+describe('raw capture recording and replay', () => {
+  const dir = path.join(__dirname, '..', 'test-logs', 'captures');
+  const silent = { info: () => {}, warn: () => {} };
+
+  beforeEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('round-trips chunks byte for byte, control bytes included', () => {
+    const recorder = createCaptureRecorder({ dir }, silent);
+    const escPos = Buffer.from([0x1b, 0x40, 0x49, 0x54, 0x45, 0x4d, 0x0d, 0x0a, 0x1d, 0x56, 0x00]);
+    recorder.record(escPos, 1000);
+    recorder.record('TOTAL  3.00\n', 1250);
+    recorder.close();
+
+    const chunks = readCapture(recorder.filePath);
+    expect(chunks.map((chunk) => chunk.ts)).toEqual([1000, 1250]);
+    expect(chunks[0].data.equals(escPos)).toBe(true);
+    expect(chunks[1].data.toString()).toBe('TOTAL  3.00\n');
+  });
+
+  test('rotates by size and prunes beyond the byte budget and age', () => {
+    const recorder = createCaptureRecorder({ dir, fileBytes: 50, maxBytes: 150 }, silent);
+    for (let i = 0; i < 6; i += 1) recorder.record('ITEM A  1.00\n', Date.UTC(2025, 6, 23, 14, 0, i));
+    recorder.close();
+
+    const files = fs.readdirSync(dir).sort();
+    expect(files).toHaveLength(3);
+    const kept = readCapture(files.map((name) => path.join(dir, name)));
+    expect(kept.map((chunk) => chunk.ts)).toEqual([3, 4, 5].map((second) => Date.UTC(2025, 6, 23, 14, 0, second)));
+
+    const aged = createCaptureRecorder({ dir, maxAgeSeconds: 60 }, silent);
+    const old = path.join(dir, files[0]);
+    const longAgo = new Date(Date.now() - 3600 * 1000);
+    fs.utimesSync(old, longAgo, longAgo);
+    aged.record('CASH  1.00\n');
+    aged.close();
+    expect(fs.existsSync(old)).toBe(false);
+  });
+
+  test('keeps each channel to its own files', () => {
+    const first = createCaptureRecorder({ dir, channel: 'ttyUSB0', fileBytes: 10, maxBytes: 10 }, silent);
+    const second = createCaptureRecorder({ dir, channel: 'ttyUSB1' }, silent);
+    second.record('ITEM B  2.00\n', 1000);
+    first.record('ITEM A  1.00\n', 2000);
+    first.record('ITEM A  1.00\n', 3000);
+    first.close();
+    second.close();
+
+    expect(fs.existsSync(second.filePath)).toBe(true);
+    expect(readCapture(second.filePath)).toHaveLength(1);
+  });
+
+  test('replays at original, accelerated or max speed', async () => {
+    const chunks = [
+      { ts: 1000, data: Buffer.from('A\n') },
+      { ts: 3000, data: Buffer.from('B\n') },
+      { ts: 3500, data: Buffer.from('C\n') },
+    ];
+    const waits = [];
+    const fed = [];
+    const run = (speed) => replayCapture(chunks, {
+      speed,
+      onChunk: (data, ts) => fed.push([data.toString(), ts]),
+      sleep: async (ms) => { waits.push(ms); },
+    });
+
+    await run(parseReplaySpeed('original'));
+    expect(waits).toEqual([2000, 500]);
+    expect(fed).toEqual([['A\n', 1000], ['B\n', 3000], ['C\n', 3500]]);
+
+    waits.length = 0;
+    await run(parseReplaySpeed('10'));
+    expect(waits).toEqual([200, 50]);
+
+    waits.length = 0;
+    await run(parseReplaySpeed('max'));
+    expect(waits).toEqual([]);
+
+    expect(() => parseReplaySpeed('fast')).toThrow('capture: invalid replay speed "fast"');
+  });
+});
@@ -0,0 +1,40 @@
+const { createCircuitBreaker } = require('../../src/queue/circuitBreaker');
+
+describe('circuit breaker', () => {
+  test('opens after consecutive failures and probes once the cooldown passes', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 3, openMs: 1000, maxOpenMs: 3000 });
+
+    breaker.recordFailure(0);
+    breaker.recordFailure(0);
+    breaker.recordSuccess();
+    breaker.recordFailure(0);
+    breaker.recordFailure(0);
+    expect(breaker.state(0)).toBe('closed');
+
+    breaker.recordFailure(100);
+    expect(breaker.state(100)).toBe('open');
+    expect(breaker.retryAt()).toBe(1100);
+    expect(breaker.state(1099)).toBe('open');
+    expect(breaker.state(1100)).toBe('half_open');
+  });
+
+  test('doubles the cooldown when a probe fails and resets it on success', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, openMs: 1000, maxOpenMs: 3000 });
+
+    breaker.recordFailure(0);
+    expect(breaker.state(1000)).toBe('half_open');
+    breaker.recordFailure(1000);
+    expect(breaker.retryAt()).toBe(3000);
+    expect(breaker.state(3000)).toBe('half_open');
+    breaker.recordFailure(3000);
+    expect(breaker.retryAt()).toBe(6000);
+    expect(breaker.state(6000)).toBe('half_open');
+    breaker.recordFailure(6000);
+    expect(breaker.retryAt()).toBe(9000);
+
+    breaker.recordSuccess();
+    expect(breaker.state(9000)).toBe('closed');
+    breaker.recordFailure(9000);
+    expect(breaker.retryAt()).toBe(10000);
+  });
+});
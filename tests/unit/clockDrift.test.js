@@ -0,0 +1,66 @@
+const { createClockDriftMonitor } = require('../../src/utils/clockDrift');
+const { createMetricsRegistry } = require('../../src/server/metrics');
+
+function quietLogger() {
+  return { warn: jest.fn(), info: jest.fn() };
+}
+
+describe('clock drift monitor', () => {
+  const deviceMs = Date.parse('2025-07-23T14:15:00.000Z');
+
+  test('exports the smoothed offset and warns once when past the threshold', () => {
+    const metrics = createMetricsRegistry();
+    const logger = quietLogger();
+    const monitor = createClockDriftMonitor({ warnSeconds: 60, smoothing: 0.5, metrics }, logger);
+
+    monitor.observe('2025-07-23T14:15:30.000Z', deviceMs);
+    expect(monitor.offsetSeconds()).toBe(30);
+    expect(logger.warn).not.toHaveBeenCalled();
+
+    monitor.observe('2025-07-23T14:17:30.000Z', deviceMs);
+    monitor.observe('2025-07-23T14:17:30.000Z', deviceMs);
+    expect(monitor.offsetSeconds()).toBe(120);
+    expect(monitor.isDrifted()).toBe(true);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(metrics.toPrometheus()).toContain('micromanager_pos_clock_offset_seconds 120');
+    expect(metrics.toPrometheus()).toContain('micromanager_pos_clock_drift_exceeded 1');
+  });
+
+  test('labels its gauges when monitoring one of several ports', () => {
+    const metrics = createMetricsRegistry();
+    const monitor = createClockDriftMonitor({ metrics, labels: { port: 'ttyUSB1' } }, quietLogger());
+
+    monitor.observe('2025-07-23T14:15:30.000Z', deviceMs);
+    expect(metrics.toPrometheus()).toContain('micromanager_pos_clock_offset_seconds{port="ttyUSB1"} 30');
+  });
+
+  test('video times follow the POS clock only when configured to', () => {
+    const device = createClockDriftMonitor({ videoClockSource: 'device' }, quietLogger());
+    const auto = createClockDriftMonitor({ warnSeconds: 60, videoClockSource: 'auto' }, quietLogger());
+    const pos = createClockDriftMonitor({ videoClockSource: 'pos' }, quietLogger());
+    [device, auto, pos].forEach((m) => m.observe('2025-07-23T14:25:00.000Z', deviceMs));
+
+    expect(device.videoTime(deviceMs)).toEqual({ iso: '2025-07-23T14:15:00.000Z', source: 'device' });
+    expect(auto.videoTime(deviceMs)).toEqual({ iso: '2025-07-23T14:25:00.000Z', source: 'pos' });
+    expect(pos.videoTime(deviceMs + 1000)).toEqual({ iso: '2025-07-23T14:25:01.000Z', source: 'pos' });
+  });
+
+  test('rejects unknown clock sources', () => {
+    expect(() => createClockDriftMonitor({ videoClockSource: 'ntp' })).toThrow(/invalid video clock source "ntp"/);
+  });
+
+  test('ignores an outlying POS timestamp and warns about it once', () => {
+    const logger = quietLogger();
+    const monitor = createClockDriftMonitor({ maxOffsetSeconds: 3600, smoothing: 0.5 }, logger);
+
+    monitor.observe('2025-07-23T14:15:30.000Z', deviceMs);
+    monitor.observe('2024-05-01T09:00:00.000Z', deviceMs);
+    monitor.observe('2024-05-01T09:00:00.000Z', deviceMs);
+    expect(monitor.offsetSeconds()).toBe(30);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith('clock: ignoring POS timestamps too far from the edge clock', expect.objectContaining({ max_offset_seconds: 3600 }));
+
+    monitor.observe('2025-07-23T14:15:50.000Z', deviceMs);
+    expect(monitor.offsetSeconds()).toBe(40);
+  });
+});
@@ -0,0 +1,65 @@
+const { createCompliancePolicy, ageOn } = require('../../src/state/compliance');
+
+describe('age-restricted sales compliance', () => {
+  const policy = createCompliancePolicy({
+    restrictedDepartments: ['Beer'],
+    restrictedTaxClasses: ['T'],
+    restrictedPatterns: ['TOBACCO', '\\bWINE\\b'],
+    minimumAge: 21,
+  });
+  const at = '2025-07-11T08:23:27.000Z';
+
+  test('matches restricted items by department, tax class or description', () => {
+    expect(policy.isRestricted({ description: 'BUD LIGHT 6PK', department: 'BEER' })).toBe(true);
+    expect(policy.isRestricted({ description: 'MARLBORO RED', tax_class: 't' })).toBe(true);
+    expect(policy.isRestricted({ description: 'BLK WINE' })).toBe(true);
+    expect(policy.isRestricted({ description: 'WINEGUMS', tax_class: 'L' })).toBe(false);
+  });
+
+  test('links a keyed-in birth date to its manual entry override', () => {
+    const result = policy.check([
+      { line_type: 'manual_override', referenced_transaction_number: '1028376', pos_timestamp: at },
+      { line_type: 'dob_entry', dob: '2002-02-02', pos_timestamp: at },
+      { line_type: 'item', description: 'TOBACCO' },
+    ]);
+
+    expect(result.age_verifications).toEqual([{
+      method: 'manual_entry',
+      result: 'PASSED',
+      dob: '2002-02-02',
+      age: 23,
+      passed: true,
+      transaction_number: '1028376',
+      pos_timestamp: at,
+    }]);
+    expect(result).toMatchObject({ age_verified: true, restricted_items: ['TOBACCO'], compliance_flags: [] });
+  });
+
+  test('flags restricted sales without a passing verification', () => {
+    const bypassed = policy.check([
+      { line_type: 'age_verification', verification_result: 'BYPASS', referenced_transaction_number: '1011395' },
+      { line_type: 'item', description: 'BLK WINE' },
+    ]);
+    expect(bypassed.age_verifications[0]).toMatchObject({ method: 'scan', result: 'BYPASS', passed: false });
+    expect(bypassed.compliance_flags).toEqual(['compliance_violation']);
+
+    const underage = policy.check([
+      { line_type: 'dob_entry', dob: '2005-02-02', pos_timestamp: at },
+      { line_type: 'item', description: 'TOBACCO' },
+    ]);
+    expect(underage.age_verifications[0]).toMatchObject({ method: 'dob_entry', result: 'UNDERAGE', age: 20 });
+    expect(underage.compliance_flags).toEqual(['compliance_violation']);
+
+    expect(policy.check([{ line_type: 'item', description: 'PEPSI' }]).compliance_flags).toEqual([]);
+  });
+
+  test('ageOn counts birthdays on the day they fall', () => {
+    expect(ageOn('2004-07-11', at)).toBe(21);
+    expect(ageOn('2004-07-12', at)).toBe(20);
+    expect(ageOn('not a date', at)).toBeNull();
+  });
+
+  test('rejects invalid restricted patterns', () => {
+    expect(() => createCompliancePolicy({ restrictedPatterns: ['('] })).toThrow(/compliance: invalid restricted pattern "\("/);
+  });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { createQueue } = require('../../src/queue/sqliteQueue');
+const { createMetricsRegistry } = require('../../src/server/metrics');
+const { createDispatcher } = require('../../src/queue/dispatcher');
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+function waitFor(predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting'));
+      return setTimeout(tick, 5);
+    };
+    tick();
+  });
+}
+
+function httpError(status) {
+  const err = new Error(status ? `HTTP ${status}` : 'connect ECONNREFUSED');
+  if (status) err.status = status;
+  return err;
+}
+
+describe('queue dispatcher', () => {
+  const dbPath = path.join(__dirname, '..', 'test-logs', 'queue-dispatcher.db');
+  let queue;
+  let dispatcher;
+
+  beforeEach(() => {
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+    queue = createQueue({ dbPath }, silent);
+  });
+
+  afterEach(() => {
+    dispatcher?.stop();
+    queue.db.close();
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+  });
+
+  test('keeps delivering to a healthy host while another host is down', async () => {
+    const metrics = createMetricsRegistry();
+    const attempts = { down: 0 };
+    const delivered = [];
+    for (let i = 0; i < 3; i += 1) queue.push('transactions', 'http://down.example/txns', { i });
+    for (let i = 0; i < 4; i += 1) queue.push('transaction_line', 'http://up.example/lines', { i });
+
+    dispatcher = createDispatcher({
+      queue,
+      metrics,
+      send: async (url, { body }) => {
+        if (url.startsWith('http://down.example')) {
+          attempts.down += 1;
+          throw httpError(503);
+        }
+        delivered.push(JSON.parse(body).i);
+      },
+      breaker: { failureThreshold: 2, openMs: 60000 },
+      pollMs: 10,
+    }, silent);
+    dispatcher.start();
+
+    await waitFor(() => delivered.length === 4);
+    expect(delivered).toEqual([0, 1, 2, 3]);
+    expect(attempts.down).toBe(2);
+    expect(dispatcher.destinations()).toEqual(expect.arrayContaining([
+      { destination: 'down.example', state: 'open', in_flight: 0, concurrency: 1 },
+      { destination: 'up.example', state: 'closed', in_flight: 0, concurrency: 1 },
+    ]));
+    const exposition = metrics.toPrometheus();
+    expect(exposition).toContain('micromanager_destination_breaker_state{destination="down.example"} 2');
+    expect(exposition).toContain('micromanager_destination_breaker_state{destination="up.example"} 0');
+    expect(exposition).toContain('micromanager_destination_in_flight{destination="up.example"} 0');
+  });
+
+  test('runs up to the configured concurrency per host', async () => {
+    const pending = [];
+    let peak = 0;
+    for (let i = 0; i < 6; i += 1) queue.push('transactions', 'http://a.example/txns', { i });
+    for (let i = 0; i < 6; i += 1) queue.push('transactions', 'http://b.example/txns', { i });
+
+    dispatcher = createDispatcher({
+      queue,
+      send: () => new Promise((resolve) => {
+        pending.push(resolve);
+        peak = Math.max(peak, dispatcher.inFlight());
+      }),
+      concurrency: 2,
+      hostConcurrency: { 'b.example': 3 },
+      pollMs: 10,
+    }, silent);
+    dispatcher.start();
+
+    await waitFor(() => pending.length === 5);
+    expect(dispatcher.destinations().map((destination) => destination.in_flight).sort()).toEqual([2, 3]);
+    while (queue.depth() > 0) {
+      pending.splice(0).forEach((resolve) => resolve());
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    expect(peak).toBe(5);
+  });
+
+  test('lets a single probe through once the breaker half-opens', async () => {
+    let failing = true;
+    let attempts = 0;
+    for (let i = 0; i < 4; i += 1) queue.push('transactions', 'http://flaky.example/txns', { i });
+
+    dispatcher = createDispatcher({
+      queue,
+      send: async () => {
+        attempts += 1;
+        if (failing) throw httpError(null);
+      },
+      breaker: { failureThreshold: 1, openMs: 50 },
+      pollMs: 10,
+    }, silent);
+    dispatcher.start();
+
+    await waitFor(() => attempts === 1);
+    expect(dispatcher.destinations()[0].state).toBe('open');
+    failing = false;
+    await waitFor(() => queue.depth() === 1);
+    expect(dispatcher.destinations()[0].state).toBe('closed');
+    expect(attempts).toBe(4);
+  });
+
+  test('posts batches as one array and dead-letters them together on a permanent error', async () => {
+    const bodies = [];
+    for (let i = 0; i < 5; i += 1) queue.push('transaction_line', 'http://lines.example/lines', { i });
+
+    dispatcher = createDispatcher({
+      queue,
+      send: async (url, { body }) => {
+        bodies.push(JSON.parse(body));
+        if (bodies.length === 2) throw httpError(422);
+      },
+      batchTopic: 'transaction_line',
+      batchSize: 3,
+      batchLingerMs: 20,
+      pollMs: 10,
+    }, silent);
+    dispatcher.start();
+
+    await waitFor(() => queue.depth() === 0);
+    expect(bodies).toEqual([[{ i: 0 }, { i: 1 }, { i: 2 }], [{ i: 3 }, { i: 4 }]]);
+    expect(queue.listDeadLetters().map((letter) => letter.reason)).toEqual(['permanent_error', 'permanent_error']);
+    expect(dispatcher.destinations()[0].state).toBe('closed');
+  });
+
+  test('schedules the retry from Retry-After and keeps rate-limited jobs', async () => {
+    const { createRetryPolicy } = require('../../src/queue/retryPolicy');
+    queue.db.close();
+    queue = createQueue({ dbPath, retryPolicy: createRetryPolicy({ maxTries: 3 }) }, silent);
+    queue.push('transactions', 'http://busy.example/txns', {});
+    const failedAt = Math.floor(Date.now() / 1000);
+
+    dispatcher = createDispatcher({
+      queue,
+      send: async () => {
+        const err = httpError(429);
+        err.headers = { 'retry-after': '120' };
+        throw err;
+      },
+      retryPolicy: createRetryPolicy({ maxTries: 3 }),
+      pollMs: 10,
+    }, silent);
+    dispatcher.start();
+
+    await waitFor(() => queue.due(Date.now()) === null);
+    const [job] = queue.db.prepare('SELECT * FROM jobs').all();
+    expect(job.tries).toBe(1);
+    expect(job.next_at - failedAt).toBeGreaterThanOrEqual(119);
+    expect(job.next_at - failedAt).toBeLessThanOrEqual(121);
+    expect(queue.deadLetterCount()).toBe(0);
+  });
+});
@@ -0,0 +1,106 @@
+const escPos = require('../../src/parser/escPos');
+const { makeTxnMachine } = require('../../src/state/txnMachine');
+
+const { clean, splitMashedEnd, classify } = escPos;
+
+describe('escPos parser', () => {
+  test('clean strips ESC/POS formatting commands', () => {
+    const raw = '\u001b@\u001ba\u0001\u001bE\u0001COFFEE 2.50\u001bE\u0000';
+    expect(clean(raw)).toBe('COFFEE 2.50');
+  });
+
+  test('classify recognises totals, tenders, change and items', () => {
+    expect(classify('SUBTOTAL 5.00')).toMatchObject({ type: 'subtotal', amount: 5 });
+    expect(classify('TAX 0.40')).toMatchObject({ type: 'tax', amount: 0.4 });
+    expect(classify('TOTAL $5.40')).toMatchObject({ type: 'total', amount: 5.4 });
+    expect(classify('VISA 5.40')).toMatchObject({ type: 'credit', amount: 5.4 });
+    expect(classify('EBT FOOD 3.25')).toMatchObject({ type: 'ebt', amount: 3.25 });
+    expect(classify('GIFT CARD 10.00')).toMatchObject({ type: 'gift_card', amount: 10 });
+    expect(classify('CHECK 20.00')).toMatchObject({ type: 'check', amount: 20 });
+    expect(classify('APPLE PAY 4.50')).toMatchObject({ type: 'mobile', amount: 4.5 });
+    expect(classify('CHANGE DUE 0.00')).toMatchObject({ type: 'change', amount: 0 });
+    expect(classify('2 @ MUFFIN        5.00 T')).toMatchObject({ type: 'item', desc: 'MUFFIN', qty: 2, amount: 5 });
+    expect(classify('TRANS# 000123')).toMatchObject({ type: 'receipt_header', txn: '000123' });
+  });
+
+  test('paper cut ends the receipt and splits trailing text', () => {
+    expect(classify('\u001dVA\u0003')).toMatchObject({ type: 'cut' });
+    expect(splitMashedEnd('THANKS FOR SHOPPING\u001dV\u0001')).toEqual(['THANKS FOR SHOPPING', '\u001dV\u0001']);
+    expect(splitMashedEnd('TOTAL 5.40')).toBeNull();
+    expect(splitMashedEnd('\u001dVA\u0003')).toBeNull();
+  });
+
+  test('text after a cut in the same chunk starts the next receipt', () => {
+    expect(splitMashedEnd('CHANGE DUE 0.00\u001dV\u0001COFFEE 2.50')).toEqual(['CHANGE DUE 0.00', '\u001dV\u0001', 'COFFEE 2.50']);
+    expect(splitMashedEnd('\u001dV\u0001COFFEE 2.50')).toEqual(['\u001dV\u0001', 'COFFEE 2.50']);
+
+    const lines = [];
+    const ends = [];
+    const machine = makeTxnMachine({
+      parser: escPos,
+      onLine: (line) => lines.push(line),
+      onEnd: (payload) => ends.push(payload),
+    });
+    machine.feed('TEA 1.50', 0);
+    machine.feed('CASH 1.50\u001dV\u0001COFFEE 2.50', 10);
+
+    expect(ends).toHaveLength(1);
+    expect(machine.state).toBe('ITEMIZING');
+    expect(lines.map((line) => line.c.type)).toEqual(['item', 'cash', 'cut', 'item']);
+    expect(lines[3].c).toMatchObject({ desc: 'COFFEE', amount: 2.5 });
+    expect(lines[3].txnId).not.toBe(lines[0].txnId);
+  });
+
+  test('a full receipt stays itemizing through its header and closes at the cut', () => {
+    const lines = [];
+    const ends = [];
+    const parseErrors = [];
+    const machine = makeTxnMachine({
+      parser: escPos,
+      onLine: (line) => lines.push(line),
+      onEnd: (payload) => ends.push(payload),
+      onParseError: (error) => parseErrors.push(error),
+    });
+    [
+      '\u001b@\u001ba\u0001ACME MART',
+      '123 MAIN ST',
+      'SPRINGFIELD, IL 62701',
+      'TEL (217) 555-0100',
+      'STORE #12  TRANS# 000123',
+      '03/12/2025 14:05',
+      'CASHIER: JO',
+      '\u001ba\u0000COFFEE 2.50',
+      '2 @ MUFFIN        5.00 T',
+      'SUBTOTAL 7.50',
+      'TAX 0.60',
+      'TOTAL 8.10',
+      'CASH 10.00',
+      'CHANGE DUE 1.90',
+      'THANK YOU',
+      '\u001dVA\u0003',
+    ].forEach((raw, i) => machine.feed(raw, i));
+
+    expect(parseErrors).toEqual([]);
+    expect(lines.map((line) => [line.c.type, line.state])).toEqual([
+      ['receipt_info', 'ITEMIZING'],
+      ['receipt_info', 'ITEMIZING'],
+      ['receipt_info', 'ITEMIZING'],
+      ['receipt_info', 'ITEMIZING'],
+      ['receipt_header', 'ITEMIZING'],
+      ['receipt_info', 'ITEMIZING'],
+      ['receipt_info', 'ITEMIZING'],
+      ['item', 'ITEMIZING'],
+      ['item', 'ITEMIZING'],
+      ['subtotal', 'ITEMIZING'],
+      ['tax', 'ITEMIZING'],
+      ['total', 'TENDERING'],
+      ['cash', 'TENDERING'],
+      ['change', 'TENDERING'],
+      ['cut', 'CLOSING'],
+    ]);
+    expect(ends).toEqual([expect.objectContaining({
+      status: 'completed',
+      meta: expect.objectContaining({ store_id: '12', transaction_number: '000123' }),
+    })]);
+  });
+});
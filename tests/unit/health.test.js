@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { createQueue } = require('../../src/queue/sqliteQueue');
+const { createMetricsRegistry } = require('../../src/server/metrics');
+const { startHealthServer } = require('../../src/server/health');
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+describe('health server dead-letter routes', () => {
+  const dbPath = path.join(__dirname, '..', 'test-logs', 'queue-health.db');
+  let queue;
+  let server;
+  let baseUrl;
+
+  async function start(options = {}) {
+    server = startHealthServer({
+      queue,
+      metrics: createMetricsRegistry(),
+      version: 'test',
+      port: 0,
+      host: '127.0.0.1',
+      adminToken: 'secret',
+      ...options,
+    }, silent);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function call(route, { method = 'GET', headers = { authorization: 'Bearer secret' } } = {}) {
+    const res = await fetch(`${baseUrl}${route}`, { method, headers });
+    const text = await res.text();
+    return { status: res.status, body: res.headers.get('content-type') === 'application/json' ? JSON.parse(text) : text };
+  }
+
+  beforeEach(() => {
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+    queue = createQueue({ dbPath }, silent);
+    ['transactions', 'transaction_lines', 'transaction_lines'].forEach((topic, index) => {
+      queue.push(topic, 'https://example.com', { index });
+    });
+    let job = queue.due(Date.now());
+    while (job) {
+      queue.mark(job.id, false, { error: 'HTTP 422', status: 422, responsePreview: 'invalid', permanent: true });
+      job = queue.due(Date.now());
+    }
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    queue.db.close();
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+  });
+
+  test('lists dead letters with their last error and reports the count', async () => {
+    await start();
+
+    const list = await call('/dead-letters?topic=transaction_lines');
+    expect(list.status).toBe(200);
+    expect(list.body.total).toBe(3);
+    expect(list.body.dead_letters).toHaveLength(2);
+    expect(list.body.dead_letters[0]).toMatchObject({
+      topic: 'transaction_lines',
+      reason: 'permanent_error',
+      last_error: 'HTTP 422',
+      last_status: 422,
+      response_preview: 'invalid',
+    });
+
+    const single = await call(`/dead-letters/${list.body.dead_letters[0].id}`);
+    expect(JSON.parse(single.body.body)).toEqual({ index: 1 });
+    expect((await call('/dead-letters/999')).status).toBe(404);
+
+    expect((await call('/healthz')).body).toMatchObject({ queue_depth: 0, dead_letters: 3 });
+    expect((await call('/metrics')).body).toContain('micromanager_dead_letters 3');
+  });
+
+  test('requeues and purges singly or in bulk', async () => {
+    await start();
+    const [first] = (await call('/dead-letters')).body.dead_letters;
+
+    expect((await call(`/dead-letters/${first.id}/requeue`, { method: 'POST' })).body).toEqual({ requeued: 1 });
+    expect((await call(`/dead-letters/${first.id}/requeue`, { method: 'POST' })).status).toBe(404);
+    expect(queue.depth()).toBe(1);
+
+    const [second] = (await call('/dead-letters')).body.dead_letters;
+    expect((await call(`/dead-letters/${second.id}`, { method: 'DELETE' })).body).toEqual({ purged: 1 });
+
+    expect((await call('/dead-letters/requeue', { method: 'POST' })).body).toEqual({ requeued: 1 });
+    expect(queue.depth()).toBe(2);
+    expect((await call('/dead-letters', { method: 'DELETE' })).body).toEqual({ purged: 0 });
+    expect((await call('/dead-letters', { method: 'PUT' })).status).toBe(405);
+  });
+
+  test('requires the admin token when one is configured', async () => {
+    await start();
+
+    expect((await call('/dead-letters', { headers: {} })).status).toBe(401);
+    expect((await call('/dead-letters', { headers: { authorization: 'Bearer wrong' } })).status).toBe(401);
+    expect((await call('/dead-letters')).status).toBe(200);
+    expect((await call('/healthz', { headers: {} })).status).toBe(200);
+  });
+
+  test('serves no dead-letter routes without an admin token', async () => {
+    await start({ adminToken: null });
+
+    expect((await call('/dead-letters', { headers: {} })).status).toBe(404);
+    expect((await call('/dead-letters/1', { headers: {} })).status).toBe(404);
+    expect((await call('/dead-letters', { method: 'DELETE', headers: {} })).status).toBe(404);
+    expect((await call('/dead-letters/requeue', { method: 'POST', headers: {} })).status).toBe(404);
+    expect(queue.deadLetterCount()).toBe(3);
+    expect((await call('/healthz', { headers: {} })).body).toMatchObject({ dead_letters: 3 });
+  });
+});
@@ -0,0 +1,72 @@
+const { createLineSplitter, compileTerminators } = require('../../src/ingest/lineSplitter');
+
+describe('line splitter', () => {
+  test('emits complete lines across chunk boundaries and skips blanks', () => {
+    const lines = [];
+    const splitter = createLineSplitter((line) => lines.push(line));
+
+    splitter.push(Buffer.from('ITEM A  1.00\r\nITEM'));
+    splitter.push(Buffer.from(' B  2.00\n\nTOTAL'));
+    expect(lines).toEqual(['ITEM A  1.00', 'ITEM B  2.00']);
+
+    splitter.push('  3.00\n');
+    expect(lines).toEqual(['ITEM A  1.00', 'ITEM B  2.00', 'TOTAL  3.00']);
+  });
+
+  test('reset drops a partial line', () => {
+    const lines = [];
+    const splitter = createLineSplitter((line) => lines.push(line));
+
+    splitter.push('HALF A LI');
+    splitter.reset();
+    splitter.push('CASH  5.00\n');
+    expect(lines).toEqual(['CASH  5.00']);
+  });
+
+  test('splits on control bytes, regexes and ESC/POS cuts', () => {
+    const lines = [];
+    const splitter = createLineSplitter((line) => lines.push(line), {
+      terminators: compileTerminators([{ byte: '0x0c' }, { regex: '\\x1b\\|' }, 'escpos_cut']),
+    });
+
+    splitter.push('PAGE ONE\fCOLUMN\x1b|ITEM A  1.00\x1dV\x00NEXT');
+    expect(lines).toEqual(['PAGE ONE', 'COLUMN', 'ITEM A  1.00\x1dV\x00']);
+  });
+
+  test('flushes a trailing fragment once the stream goes quiet', () => {
+    jest.useFakeTimers();
+    try {
+      const lines = [];
+      const splitter = createLineSplitter((line, nowMs) => lines.push([line, nowMs]), { idleFlushMs: 2000 });
+
+      splitter.push('07/23/25 14:15:09 102 CSH: SAM', 1000);
+      jest.advanceTimersByTime(1500);
+      splitter.push(' JONES', 2500);
+      jest.advanceTimersByTime(1999);
+      expect(lines).toEqual([]);
+      jest.advanceTimersByTime(1);
+      expect(lines).toEqual([['07/23/25 14:15:09 102 CSH: SAM JONES', 2500]]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('cuts a runaway buffer at the maximum line length', () => {
+    const lines = [];
+    const onOverflow = jest.fn();
+    const splitter = createLineSplitter((line) => lines.push(line), { maxLineLength: 4, onOverflow });
+
+    splitter.push('ABCDEFGHIJ');
+    expect(lines).toEqual(['ABCD', 'EFGH']);
+    expect(onOverflow).toHaveBeenCalledTimes(2);
+    splitter.flush();
+    expect(lines).toEqual(['ABCD', 'EFGH', 'IJ']);
+  });
+
+  test('rejects unknown or malformed terminators', () => {
+    expect(() => compileTerminators(['tab'])).toThrow('framing: unknown terminator "tab"');
+    expect(() => compileTerminators([{ byte: 300 }])).toThrow('framing: invalid terminator byte "300"');
+    expect(() => compileTerminators([{ regex: '(' }])).toThrow('framing: invalid terminator regex "("');
+    expect(() => compileTerminators([])).toThrow('framing: at least one line terminator is required');
+  });
+});
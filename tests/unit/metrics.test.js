@@ -0,0 +1,24 @@
+const { createMetricsRegistry } = require('../../src/server/metrics');
+
+describe('metrics registry', () => {
+  test('keeps one series per label set under a single TYPE line', () => {
+    const metrics = createMetricsRegistry();
+    metrics.incCounter('micromanager_lines_processed_total', 2, { port: 'ttyUSB0' });
+    metrics.incCounter('micromanager_lines_processed_total', 1, { port: 'ttyUSB1' });
+    metrics.incCounter('micromanager_lines_processed_total', 3, { port: 'ttyUSB0' });
+    metrics.setGauge('micromanager_queue_depth', 4);
+
+    const text = metrics.toPrometheus();
+
+    expect(text).toContain('# TYPE micromanager_queue_depth gauge\nmicromanager_queue_depth 4');
+    expect(text.match(/# TYPE micromanager_lines_processed_total counter/g)).toHaveLength(1);
+    expect(text).toContain('micromanager_lines_processed_total{port="ttyUSB0"} 5');
+    expect(text).toContain('micromanager_lines_processed_total{port="ttyUSB1"} 1');
+  });
+
+  test('escapes label values', () => {
+    const metrics = createMetricsRegistry();
+    metrics.setGauge('g', 1, { port: 'a"b\\c' });
+    expect(metrics.toPrometheus()).toContain('g{port="a\\"b\\\\c"} 1');
+  });
+});
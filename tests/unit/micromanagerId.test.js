@@ -22,6 +22,12 @@ describe('deriveMicromanagerId', () => {
     expect(deriveMicromanagerId({ env, serialPort: '/dev/ttyUSB1' })).toBe('mmd-rv1-2461b4-1');
   });
 
+  test('takes the suffix from the port name for ports bound by USB identity', () => {
+    const env = { TERMINAL_ID: '2c:cf:67:24:61:b4' };
+    expect(deriveMicromanagerId({ env, serialPort: '/dev/ttyUSB0', portName: 'register_2' })).toBe('mmd-rv1-2461b4-2');
+    expect(deriveMicromanagerId({ env, portName: 'Back-Office' })).toBe('mmd-rv1-2461b4-backoffice');
+  });
+
   test('uses fallback serial port when explicit missing', () => {
     const env = { TERMINAL_ID: 'aa:bb:cc:dd:ee:ff' };
     expect(deriveMicromanagerId({ env, fallbackSerialPort: '/dev/ttyUSB3' })).toBe('mmd-rv1-ddeeff-3');
@@ -0,0 +1,34 @@
+const { getParser, listParsers, registerParser } = require('../../src/parser/registry');
+const { makeTxnMachine } = require('../../src/state/txnMachine');
+
+describe('parser registry', () => {
+  test('ships the verifone and esc/pos dialects', () => {
+    expect(listParsers()).toEqual(expect.arrayContaining(['verifone_commander', 'escpos']));
+    expect(getParser().name).toBe('verifone_commander');
+  });
+
+  test('rejects unknown posType and incomplete parsers', () => {
+    expect(() => getParser('nope')).toThrow(/unknown posType "nope"/);
+    expect(() => registerParser('broken', { classify() {} })).toThrow(/missing clean/);
+  });
+
+  test('txn machine follows the selected parser boundaries', () => {
+    const lines = [];
+    const ends = [];
+    const machine = makeTxnMachine({
+      parser: getParser('escpos'),
+      onLine: (line) => lines.push(line),
+      onEnd: (payload) => ends.push(payload),
+    });
+
+    const now = Date.now();
+    machine.feed('\u001b@ACME MART', now);
+    machine.feed('COFFEE 2.50', now + 10);
+    machine.feed('TOTAL 2.50', now + 20);
+    machine.feed('CASH 5.00', now + 30);
+    machine.feed('\u001dVA\u0003', now + 40);
+
+    expect(lines.map((l) => l.c.type)).toEqual(['receipt_info', 'item', 'total', 'cash', 'cut']);
+    expect(ends).toHaveLength(1);
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileRules, loadRuleFile, withRules } = require('../../src/parser/rules');
+const verifone = require('../../src/parser/verifoneCommander');
+const escPos = require('../../src/parser/escPos');
+
+describe('declarative parser rules', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mm-rules-'));
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeRules(name, doc) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, JSON.stringify(doc));
+    return file;
+  }
+
+  test('file rules merge into the built-in table by priority', () => {
+    const file = writeRules('drop.json', {
+      rules: [{
+        name: 'safe_drop',
+        type: 'safe_drop',
+        pattern: '^SAFE DROP\\s+(?<amount>\\d+\\.\\d{2})$',
+        priority: 85,
+        fields: { amount: { group: 'amount', type: 'number' }, desc: { value: 'SAFE DROP' } },
+      }],
+    });
+    const parser = withRules(verifone, loadRuleFile(file));
+
+    expect(parser.classify('SAFE DROP 100.00')).toMatchObject({ type: 'safe_drop', amount: 100, desc: 'SAFE DROP' });
+    expect(parser.classify('TOTAL 2.00')).toMatchObject({ type: 'total', amount: 2 });
+    expect(verifone.classify('SAFE DROP 100.00')).toMatchObject({ type: 'unknown' });
+  });
+
+  test('replaceDefaults drops the built-in table', () => {
+    const parser = withRules(verifone, {
+      replaceDefaults: true,
+      rules: compileRules([{ type: 'total', pattern: '^TOT (?<amount>\\S+)$', fields: { amount: { group: 'amount', type: 'number' } } }]),
+    });
+    expect(parser.classify('TOT 4.50')).toMatchObject({ type: 'total', amount: 4.5 });
+    expect(parser.classify('TOTAL 4.50')).toMatchObject({ type: 'unknown' });
+  });
+
+  test('dialects without a rule table keep their own classify as fallback', () => {
+    const parser = withRules(escPos, { rules: compileRules([{ type: 'loyalty', pattern: '^MEMBER\\b' }]) });
+    expect(parser.classify('MEMBER 1234')).toMatchObject({ type: 'loyalty' });
+    expect(parser.classify('\u001dVA\u0003')).toMatchObject({ type: 'cut' });
+  });
+
+  test('validation errors point at the offending rule', () => {
+    const badPattern = writeRules('bad-pattern.json', { rules: [{ type: 'ok', pattern: 'x' }, { name: 'broken', type: 'x', pattern: '(' }] });
+    expect(() => loadRuleFile(badPattern)).toThrow(/rule #2 "broken": pattern is invalid/);
+
+    const badGroup = writeRules('bad-group.json', { rules: [{ type: 'x', pattern: '(?<amt>\\d+)', fields: { amount: 'amount' } }] });
+    expect(() => loadRuleFile(badGroup)).toThrow(/rule #1: field "amount" references unknown group "amount"/);
+
+    expect(() => compileRules([{ pattern: 'x' }], 'inline')).toThrow('parser rules (inline): rule #1: type is required');
+  });
+
+  test('YAML rule files load and report parse errors with the file path', () => {
+    const good = path.join(tmpDir, 'drop.yaml');
+    fs.writeFileSync(good, 'rules:\n  - type: safe_drop\n    pattern: "^SAFE DROP$"\n');
+    expect(withRules(verifone, loadRuleFile(good)).classify('SAFE DROP')).toMatchObject({ type: 'safe_drop' });
+
+    const bad = path.join(tmpDir, 'bad.yaml');
+    fs.writeFileSync(bad, 'rules:\n  - type: x\n   pattern: [\n');
+    expect(() => loadRuleFile(bad)).toThrow(`parser rules (${bad}): invalid YAML – `);
+  });
+});
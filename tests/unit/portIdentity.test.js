@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  listUsbSerialDevices,
+  portMatcher,
+  resolvePortIdentity,
+  watchSerialDevices,
+} = require('../../src/serial/portIdentity');
+
+describe('stable serial port identity', () => {
+  const root = path.join(__dirname, '..', 'test-logs', 'port-identity');
+  const sysfsRoot = path.join(root, 'sys');
+  const devRoot = path.join(root, 'dev');
+  const roots = { sysfsRoot, devRoot };
+  const silent = { warn: jest.fn() };
+
+  // Mirrors the kernel layout: class/tty/<tty>/device points at the USB
+  // interface, whose parent device carries idVendor, idProduct and serial.
+  function plug(tty, usbPort, { vendorId = '0403', productId = '6001', serialNumber } = {}) {
+    const usbDir = path.join(sysfsRoot, 'devices', 'usb1', usbPort);
+    const interfaceDir = path.join(usbDir, `${usbPort}:1.0`, tty);
+    fs.mkdirSync(interfaceDir, { recursive: true });
+    fs.writeFileSync(path.join(usbDir, 'idVendor'), `${vendorId}\n`);
+    fs.writeFileSync(path.join(usbDir, 'idProduct'), `${productId}\n`);
+    if (serialNumber) fs.writeFileSync(path.join(usbDir, 'serial'), `${serialNumber}\n`);
+    const classDir = path.join(sysfsRoot, 'class', 'tty', tty);
+    fs.mkdirSync(classDir, { recursive: true });
+    fs.symlinkSync(interfaceDir, path.join(classDir, 'device'));
+    fs.writeFileSync(path.join(devRoot, tty), '');
+  }
+
+  beforeEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.mkdirSync(path.join(sysfsRoot, 'class', 'tty', 'ttyS0'), { recursive: true });
+    fs.mkdirSync(path.join(devRoot, 'serial', 'by-id'), { recursive: true });
+    silent.warn.mockClear();
+  });
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('lists USB serial adapters with their identity', () => {
+    plug('ttyUSB0', '1-1', { serialNumber: 'A10K3XYZ' });
+    plug('ttyACM0', '1-2', { vendorId: '2341', productId: '0043' });
+
+    expect(listUsbSerialDevices(roots)).toEqual([
+      { name: 'ttyACM0', path: path.join(devRoot, 'ttyACM0'), vendorId: '2341', productId: '0043', serialNumber: null },
+      { name: 'ttyUSB0', path: path.join(devRoot, 'ttyUSB0'), vendorId: '0403', productId: '6001', serialNumber: 'A10K3XYZ' },
+    ]);
+  });
+
+  test('follows a serial number across renumbering', () => {
+    plug('ttyUSB0', '1-1', { serialNumber: 'REG1' });
+    plug('ttyUSB1', '1-2', { serialNumber: 'REG2' });
+    expect(resolvePortIdentity({ serialNumber: 'REG2' }, roots, silent)).toBe(path.join(devRoot, 'ttyUSB1'));
+
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.mkdirSync(devRoot, { recursive: true });
+    plug('ttyUSB0', '1-2', { serialNumber: 'REG2' });
+    plug('ttyUSB1', '1-1', { serialNumber: 'REG1' });
+    expect(resolvePortIdentity({ serialNumber: 'REG2' }, roots, silent)).toBe(path.join(devRoot, 'ttyUSB0'));
+  });
+
+  test('matches vendor and product ids but refuses to guess between twins', () => {
+    plug('ttyUSB0', '1-1');
+    plug('ttyUSB1', '1-2', { vendorId: '067B', productId: '2303' });
+    expect(resolvePortIdentity({ vendorId: '067b', productId: '2303' }, roots, silent)).toBe(path.join(devRoot, 'ttyUSB1'));
+
+    plug('ttyUSB2', '1-3');
+    expect(resolvePortIdentity({ vendorId: '0403', productId: '6001' }, roots, silent)).toBeNull();
+    expect(silent.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('resolves /dev/serial/by-id links', () => {
+    plug('ttyUSB3', '1-1', { serialNumber: 'A10K3XYZ' });
+    const link = 'usb-FTDI_FT232R_USB_UART_A10K3XYZ-if00-port0';
+    fs.symlinkSync('../../ttyUSB3', path.join(devRoot, 'serial', 'by-id', link));
+
+    expect(resolvePortIdentity({ byId: link }, roots, silent)).toBe(fs.realpathSync(path.join(devRoot, 'ttyUSB3')));
+    expect(resolvePortIdentity({ byId: path.join(devRoot, 'serial', 'by-id', link) }, roots, silent))
+      .toBe(fs.realpathSync(path.join(devRoot, 'ttyUSB3')));
+    expect(resolvePortIdentity({ byId: 'usb-missing' }, roots, silent)).toBeNull();
+  });
+
+  test('builds a matcher only from identity fields', () => {
+    expect(portMatcher({ path: '/dev/ttyUSB0', name: 'a' })).toBeNull();
+    expect(portMatcher({ name: 'a', serialNumber: 'X1', vendorId: '0403' })).toEqual({ serialNumber: 'X1', vendorId: '0403' });
+  });
+
+  test('reports hot-plugged serial devices', async () => {
+    const changed = new Promise((resolve) => {
+      const watcher = watchSerialDevices({ devRoot, debounceMs: 20, onChange: () => { watcher.close(); resolve(true); } }, silent);
+    });
+    fs.writeFileSync(path.join(devRoot, 'ttyUSB7'), '');
+    await expect(changed).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,20 @@
+const { posLocalToUtc, resolveTimeZone } = require('../../src/utils/posTime');
+
+describe('posLocalToUtc', () => {
+  test('converts register wall-clock time in the store zone to UTC', () => {
+    expect(posLocalToUtc('07/23/25', '10:15:01', 'America/New_York')).toBe('2025-07-23T14:15:01.000Z');
+    expect(posLocalToUtc('01/15/25', '10:15:01', 'America/New_York')).toBe('2025-01-15T15:15:01.000Z');
+    expect(posLocalToUtc('07/23/25', '10:15:01', 'UTC')).toBe('2025-07-23T10:15:01.000Z');
+  });
+
+  test('handles readings on either side of a DST change', () => {
+    expect(posLocalToUtc('03/09/25', '01:59:59', 'America/Chicago')).toBe('2025-03-09T07:59:59.000Z');
+    expect(posLocalToUtc('03/09/25', '03:00:00', 'America/Chicago')).toBe('2025-03-09T08:00:00.000Z');
+  });
+
+  test('rejects malformed readings and unknown zones', () => {
+    expect(posLocalToUtc('13/40/25', '10:15:01', 'UTC')).toBeNull();
+    expect(posLocalToUtc(null, '10:15:01', 'UTC')).toBeNull();
+    expect(() => resolveTimeZone('Mars/Olympus')).toThrow(/invalid time zone "Mars\/Olympus"/);
+  });
+});
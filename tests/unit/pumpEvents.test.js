@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+const mockFrigate = {
+  startEvent: jest.fn(async ({ cameraName }) => ({ eventId: `ev-${cameraName}` })),
+  annotateEvent: jest.fn(async () => true),
+  endEvent: jest.fn(async () => true),
+};
+
+jest.mock('../../src/http/frigate', () => ({ makeFrigateClient: () => mockFrigate }));
+
+function waitFor(predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting'));
+      return setTimeout(tick, 5);
+    };
+    tick();
+  });
+}
+
+describe('forecourt pump events', () => {
+  const dbPath = path.join(__dirname, '..', 'test-logs', 'pump-events.db');
+  let index;
+
+  beforeAll(() => {
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+    process.env.QUEUE_DB_PATH = dbPath;
+    process.env.FRIGATE_ENABLED = 'true';
+    process.env.FRIGATE_BASE = 'http://frigate.test';
+    index = require('../../src/index');
+  });
+
+  afterAll(() => {
+    process.env.FRIGATE_ENABLED = 'false';
+    delete process.env.FRIGATE_BASE;
+    index.queue.db.close();
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+  });
+
+  test('opens an event on the pump camera at the fuel line and closes it at finalize', async () => {
+    const pushed = [];
+    const sink = { push: (topic, url, payload) => pushed.push({ topic, payload }) };
+    const channel = index.createChannel({ name: 'lane1', pumpCameras: { 3: 'forecourt' } }, { sink });
+
+    const now = Date.now();
+    channel.machine.feed('MTN DEW 1 2.49', now);
+    channel.machine.feed('FUEL REGULAR #3 1 25.00', now + 5);
+    expect(mockFrigate.startEvent).toHaveBeenCalledWith(expect.objectContaining({ cameraName: 'forecourt' }));
+    expect(mockFrigate.endEvent).not.toHaveBeenCalledWith('ev-forecourt');
+
+    channel.machine.feed('09/19/25 19:12:43 102 ST#AB123               DR#1 TRAN#1023612 09/19/25 19:12:43 102 CSH: CORPORATE         09/19/25 19:12:43', now + 10);
+    await waitFor(() => mockFrigate.endEvent.mock.calls.some(([eventId]) => eventId === 'ev-forecourt'));
+
+    expect(mockFrigate.annotateEvent).toHaveBeenCalledWith('ev-forecourt', expect.objectContaining({ subLabel: 'Txn 1023612' }));
+    const summary = pushed.find((entry) => entry.topic === 'transactions');
+    expect(summary.payload.forecourt_event_ids).toEqual(['ev-forecourt']);
+  });
+
+  test('drain waits for a summary held up by its Frigate event', async () => {
+    mockFrigate.startEvent.mockImplementationOnce(() => new Promise((resolve) => {
+      setTimeout(() => resolve({ eventId: 'ev-slow' }), 50);
+    }));
+    const pushed = [];
+    const sink = { push: (topic, url, payload) => pushed.push({ topic, payload }) };
+    const channel = index.createChannel({ name: 'lane2' }, { sink });
+
+    const now = Date.now();
+    channel.machine.feed('MTN DEW 1 2.49', now);
+    channel.machine.close(now + 5, 'interrupted');
+    expect(pushed.some((entry) => entry.topic === 'transactions')).toBe(false);
+
+    await channel.drain();
+    const summary = pushed.find((entry) => entry.topic === 'transactions');
+    expect(summary.payload).toMatchObject({ status: 'interrupted', frigate_event_id: 'ev-slow' });
+  });
+});
@@ -0,0 +1,108 @@
+const { reconcileTransaction } = require('../../src/state/reconcile');
+
+function build(specs) {
+  return specs.map(([lineType, amount], index) => ({
+    line_type: lineType,
+    amount: amount === undefined ? null : amount,
+    transaction_position: index,
+  }));
+}
+
+describe('transaction reconciliation', () => {
+  test('balances items plus tax against total and tenders minus change', () => {
+    const lines = build([
+      ['item', 2.49],
+      ['item', 3.19],
+      ['tax', 0.4],
+      ['total', 6.08],
+      ['cash', 10.0],
+      ['change', 3.92],
+      ['end_header'],
+      ['cashier'],
+    ]);
+
+    const { reconciliation, integrity_flags: flags } = reconcileTransaction(lines);
+
+    expect(reconciliation).toMatchObject({
+      total: 6.08,
+      items_sum: 5.68,
+      tax_sum: 0.4,
+      tender_sum: 6.08,
+      delta: 0,
+      tender_delta: 0,
+      status: 'balanced',
+    });
+    expect(flags).toEqual([]);
+  });
+
+  test('counts every tender type towards the tender side', () => {
+    const lines = build([
+      ['item', 10.0],
+      ['total', 10.0],
+      ['ebt', 6.0],
+      ['gift_card', 2.0],
+      ['mobile', 2.0],
+      ['end_header'],
+    ]);
+
+    expect(reconcileTransaction(lines).reconciliation).toMatchObject({ tender_sum: 10, tender_delta: 0, status: 'balanced' });
+  });
+
+  test('allows unprinted tax and change within bounds', () => {
+    const lines = build([
+      ['item', 10.0],
+      ['total', 10.7],
+      ['cash', 20.0],
+      ['end_header'],
+    ]);
+
+    const { reconciliation, integrity_flags: flags } = reconcileTransaction(lines);
+
+    expect(reconciliation).toMatchObject({ delta: 0.7, tender_delta: 9.3, status: 'balanced' });
+    expect(flags).toEqual([]);
+  });
+
+  test('flags totals that disagree with items or tenders', () => {
+    const lines = build([
+      ['item', 10.0],
+      ['total', 4.0],
+      ['cash', 3.0],
+      ['end_header'],
+    ]);
+
+    const { reconciliation, integrity_flags: flags } = reconcileTransaction(lines);
+
+    expect(reconciliation.status).toBe('mismatch');
+    expect(reconciliation.delta).toBe(-6);
+    expect(flags).toEqual(['items_total_mismatch', 'tender_total_mismatch']);
+  });
+
+  test('flags missing header, missing total and position problems', () => {
+    const lines = build([['item', 1.0], ['item', 2.0]]);
+    lines[1].transaction_position = 0;
+    lines.push({ line_type: 'item', amount: 1.0, transaction_position: 5 });
+
+    const { reconciliation, integrity_flags: flags } = reconcileTransaction(lines);
+
+    expect(reconciliation.status).toBe('incomplete');
+    expect(flags).toEqual(['missing_header', 'duplicate_position', 'position_gap', 'missing_total']);
+  });
+
+  test('skips balancing for voided tickets', () => {
+    const lines = build([['item', 5.0], ['void_transaction'], ['end_header']]);
+
+    const { reconciliation, integrity_flags: flags } = reconcileTransaction(lines);
+
+    expect(reconciliation.status).toBe('voided');
+    expect(flags).toEqual([]);
+  });
+
+  test('skips balancing and header checks for suspended tickets', () => {
+    const lines = build([['item', 4.58], ['suspend']]);
+
+    const { reconciliation, integrity_flags: flags } = reconcileTransaction(lines);
+
+    expect(reconciliation.status).toBe('suspended');
+    expect(flags).toEqual([]);
+  });
+});
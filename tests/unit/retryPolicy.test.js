@@ -0,0 +1,59 @@
+const { createRetryPolicy, parseRetryAfter } = require('../../src/queue/retryPolicy');
+
+describe('retry policy', () => {
+  test('doubles up to the ceiling and caps after the configured number of tries', () => {
+    const policy = createRetryPolicy({ jitter: 'none' });
+    expect([1, 2, 3, 6, 7, 9, 10, 20].map((tries) => policy.delaySeconds(tries))).toEqual([1, 2, 4, 32, 60, 60, 300, 300]);
+  });
+
+  test('draws a full-jitter delay between one second and the ceiling', () => {
+    const draws = [0, 0.5, 0.999];
+    const policy = createRetryPolicy({}, () => draws.shift());
+    expect(policy.delaySeconds(7)).toBe(1);
+    expect(policy.delaySeconds(7)).toBe(30);
+    expect(policy.delaySeconds(7)).toBe(60);
+  });
+
+  test('honours Retry-After up to its limit instead of the schedule', () => {
+    const policy = createRetryPolicy({ maxRetryAfterSeconds: 120 });
+    expect(policy.delaySeconds(1, { retryAfterSeconds: 90 })).toBe(90);
+    expect(policy.delaySeconds(1, { retryAfterSeconds: 7200 })).toBe(120);
+    expect(policy.delaySeconds(1, { retryAfterSeconds: 0 })).toBe(0);
+  });
+
+  test('treats 4xx answers other than timeouts and rate limits as permanent', () => {
+    const policy = createRetryPolicy();
+    expect([400, 401, 404, 408, 422, 429, 500, 503, undefined].map((status) => policy.isPermanent(status)))
+      .toEqual([true, true, true, false, true, false, false, false, false]);
+  });
+
+  test('applies per-topic overrides on top of the defaults', () => {
+    const policy = createRetryPolicy({
+      jitter: 'none',
+      maxTries: 50,
+      topics: { transaction_line: { maxSeconds: 8, maxTries: 5, retryableStatuses: [408, 409, 429] } },
+    });
+    expect(policy.delaySeconds(6, { topic: 'transaction_line' })).toBe(8);
+    expect(policy.delaySeconds(6, { topic: 'transactions' })).toBe(32);
+    expect(policy.maxTries('transaction_line')).toBe(5);
+    expect(policy.maxTries('transactions')).toBe(50);
+    expect(policy.isPermanent(409, 'transaction_line')).toBe(false);
+    expect(policy.isPermanent(409, 'transactions')).toBe(true);
+  });
+
+  test('rejects invalid settings with the offending key', () => {
+    expect(() => createRetryPolicy({ jitter: 'equal' })).toThrow('queue: retry policy jitter must be one of full|none');
+    expect(() => createRetryPolicy({ topics: { transactions: { maxSeconds: -1 } } }))
+      .toThrow('queue: retry policy topics.transactions.maxSeconds must be a non-negative number');
+  });
+
+  test('parses Retry-After as seconds or an HTTP date', () => {
+    const now = Date.parse('2025-09-19T19:00:00Z');
+    expect(parseRetryAfter({ 'retry-after': '120' }, now)).toBe(120);
+    expect(parseRetryAfter({ 'retry-after': 'Fri, 19 Sep 2025 19:01:30 GMT' }, now)).toBe(90);
+    expect(parseRetryAfter({ 'retry-after': 'Fri, 19 Sep 2025 18:00:00 GMT' }, now)).toBe(0);
+    expect(parseRetryAfter({ 'retry-after': 'soon' }, now)).toBeNull();
+    expect(parseRetryAfter({}, now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+});
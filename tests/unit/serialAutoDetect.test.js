@@ -0,0 +1,94 @@
+const EventEmitter = require('events');
+const {
+  parseFraming,
+  serialCandidates,
+  scoreSample,
+  detectSerialSettings,
+  createUnknownLineMonitor,
+} = require('../../src/serial/autoDetect');
+const { TS_RE } = require('../../src/parser/verifoneCommander');
+
+const JOURNAL = Buffer.from([
+  '07/23/25 14:15:02 102 MARLBORO GOLD BOX      9.49',
+  '07/23/25 14:15:04 102 TOTAL                 9.49',
+  '07/23/25 14:15:09 102 CASH                 10.00',
+  '',
+].join('\r\n'));
+
+function garble(buffer) {
+  return Buffer.from(buffer.map((byte, index) => (byte * 7 + index) % 256));
+}
+
+// Sends clean journal text only at the register's real settings.
+function fakeSerialPort(real) {
+  return class FakePort extends EventEmitter {
+    constructor(options) {
+      super();
+      this.isOpen = true;
+      const matches = options.baudRate === real.baudRate && options.parity === real.parity;
+      setImmediate(() => this.emit('data', matches ? JOURNAL : garble(JOURNAL)));
+    }
+
+    close(callback) {
+      this.isOpen = false;
+      if (callback) callback();
+    }
+  };
+}
+
+describe('serial baud rate and framing detection', () => {
+  test('parses framing shorthand into serialport options', () => {
+    expect(parseFraming('7E1')).toEqual({ dataBits: 7, parity: 'even', stopBits: 1 });
+    expect(serialCandidates([9600, 19200], ['8N1'])).toEqual([
+      { baudRate: 9600, dataBits: 8, parity: 'none', stopBits: 1 },
+      { baudRate: 19200, dataBits: 8, parity: 'none', stopBits: 1 },
+    ]);
+    expect(() => parseFraming('9X3')).toThrow('serial: invalid framing "9X3"');
+    expect(() => serialCandidates(['fast'], ['8N1'])).toThrow('serial: invalid candidate baud rate "fast"');
+  });
+
+  test('scores clean journal text above garbage', () => {
+    const clean = scoreSample(JOURNAL, TS_RE);
+    expect(clean).toMatchObject({ printable: 1, timestamps: 1, score: 2 });
+    expect(scoreSample(garble(JOURNAL), TS_RE).score).toBeLessThan(1);
+    expect(scoreSample(Buffer.alloc(0), TS_RE)).toMatchObject({ bytes: 0, score: 0 });
+  });
+
+  test('locks in the best scoring candidate', async () => {
+    const real = { baudRate: 19200, dataBits: 7, parity: 'even', stopBits: 1 };
+    const detected = await detectSerialSettings({
+      path: '/dev/ttyUSB0',
+      SerialPort: fakeSerialPort(real),
+      candidates: serialCandidates([9600, 19200], ['8N1', '7E1']),
+      timestampPattern: TS_RE,
+      sampleMs: 50,
+      sampleBytes: 16,
+    }, { warn: () => {}, debug: () => {} });
+
+    expect(detected).toEqual({ ...real, score: 2 });
+  });
+
+  test('returns null when the register stays silent', async () => {
+    class SilentPort extends EventEmitter {
+      constructor() {
+        super();
+        this.isOpen = false;
+      }
+    }
+    const detected = await detectSerialSettings({
+      path: '/dev/ttyUSB0',
+      SerialPort: SilentPort,
+      candidates: serialCandidates([9600], ['8N1']),
+      sampleMs: 10,
+    }, { warn: () => {}, debug: () => {} });
+
+    expect(detected).toBeNull();
+  });
+
+  test('flags a spike in unknown lines once the window fills', () => {
+    const monitor = createUnknownLineMonitor({ windowSize: 4, threshold: 0.5 });
+    expect([true, false, true].map((unknown) => monitor.observe(unknown))).toEqual([false, false, false]);
+    expect(monitor.observe(false)).toBe(true);
+    expect(monitor.observe(true)).toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../src/serial/autoDetect', () => ({
+  ...jest.requireActual('../../src/serial/autoDetect'),
+  autoDetectSerialPort: jest.fn(async () => '/dev/ttyFAKE0'),
+  detectSerialSettings: jest.fn(async () => {
+    throw new Error('probe port busy');
+  }),
+}));
+
+describe('serial loop', () => {
+  const dbPath = path.join(__dirname, '..', 'test-logs', 'serial-loop.db');
+  let index;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+    process.env.QUEUE_DB_PATH = dbPath;
+    index = require('../../src/index');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    index.queue.db.close();
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+  });
+
+  test('retries instead of rejecting when settings detection fails', async () => {
+    const { detectSerialSettings } = require('../../src/serial/autoDetect');
+    const channel = index.createChannel({ path: '/dev/ttyFAKE0', baud: 'auto', name: 'lane1' });
+
+    await expect(channel.startSerialLoop()).resolves.toBeUndefined();
+    expect(detectSerialSettings).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(detectSerialSettings).toHaveBeenCalledTimes(2);
+  });
+});
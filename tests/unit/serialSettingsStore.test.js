@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const { createQueue } = require('../../src/queue/sqliteQueue');
+const { createSerialSettingsStore } = require('../../src/serial/settingsStore');
+
+describe('serial settings store', () => {
+  const dbPath = path.join(__dirname, '..', 'test-logs', 'serial-settings.db');
+  const silent = { warn: () => {} };
+
+  function cleanup() {
+    ['', '-wal', '-shm'].forEach((suffix) => {
+      if (fs.existsSync(`${dbPath}${suffix}`)) fs.unlinkSync(`${dbPath}${suffix}`);
+    });
+  }
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  test('keeps detected settings per port across reopen', () => {
+    const settings = { baudRate: 19200, dataBits: 7, parity: 'even', stopBits: 1 };
+    const queue = createQueue({ dbPath }, silent);
+    createSerialSettingsStore({ db: queue.db }, silent).save('ttyUSB1', settings);
+    queue.db.close();
+
+    const reopened = createQueue({ dbPath }, silent);
+    const store = createSerialSettingsStore({ db: reopened.db }, silent);
+    expect(store.load('ttyUSB1')).toEqual(settings);
+    expect(store.load('ttyUSB0')).toBeNull();
+    store.clear('ttyUSB1');
+    expect(store.load('ttyUSB1')).toBeNull();
+    reopened.db.close();
+  });
+
+  test('falls back to memory without a database', () => {
+    const store = createSerialSettingsStore({}, silent);
+    store.save('default', { baudRate: 9600 });
+    expect(store.load('default')).toEqual({ baudRate: 9600 });
+  });
+});
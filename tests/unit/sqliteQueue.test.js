@@ -54,4 +54,227 @@ describe('sqlite queue retry strategy', () => {
       queue.db.close();
     }
   });
+
+  test('moves a job to dead letters once the retry budget is spent', () => {
+    const queue = createQueue({ dbPath, maxTries: 3 }, console);
+    queue.push('transactions', 'https://example.com/txns', { id: 1 });
+    const job = queue.due(Date.now());
+
+    expect(queue.mark(job.id, false, { error: 'boom', status: 503 })).toBe('retry');
+    expect(queue.mark(job.id, false, { error: 'boom', status: 503 })).toBe('retry');
+    expect(queue.mark(job.id, false, { error: 'still down', status: 503, responsePreview: 'busy' })).toBe('dead_letter');
+
+    expect(queue.depth()).toBe(0);
+    expect(queue.deadLetterCount()).toBe(1);
+    const [letter] = queue.listDeadLetters();
+    expect(letter).toMatchObject({
+      job_id: job.id,
+      topic: 'transactions',
+      tries: 3,
+      reason: 'retry_budget',
+      last_error: 'still down',
+      last_status: 503,
+      response_preview: 'busy',
+    });
+    expect(letter.body).toBeUndefined();
+    expect(JSON.parse(queue.getDeadLetter(letter.id).body)).toEqual({ id: 1 });
+    queue.db.close();
+  });
+
+  test('dead-letters permanent errors immediately and requeues them with a fresh budget', () => {
+    const queue = createQueue({ dbPath, maxTries: 3 }, console);
+    queue.push('transactions', 'https://example.com/txns', { id: 1 });
+    queue.push('transaction_lines', 'https://example.com/lines', { id: 2 });
+    queue.push('transaction_lines', 'https://example.com/lines', { id: 3 });
+
+    let job = queue.due(Date.now());
+    while (job) {
+      expect(queue.mark(job.id, false, { error: 'bad request', status: 400, permanent: true })).toBe('dead_letter');
+      job = queue.due(Date.now());
+    }
+    expect(queue.listDeadLetters().map((letter) => letter.reason)).toEqual(Array(3).fill('permanent_error'));
+    expect(queue.listDeadLetters({ topic: 'transaction_lines', limit: 1 })).toHaveLength(1);
+
+    const [first] = queue.listDeadLetters();
+    expect(queue.requeueDeadLetters({ id: first.id })).toBe(1);
+    expect(queue.requeueDeadLetters({ id: first.id })).toBe(0);
+    const requeued = queue.due(Date.now());
+    expect(requeued).toMatchObject({ topic: 'transactions', tries: 0 });
+    expect(JSON.parse(requeued.body)).toEqual({ id: 1 });
+
+    expect(queue.requeueDeadLetters({ topic: 'transaction_lines' })).toBe(2);
+    expect(queue.depth()).toBe(3);
+    expect(queue.deadLetterCount()).toBe(0);
+    queue.db.close();
+  });
+
+  test('purges dead letters by id, topic or all at once', () => {
+    const queue = createQueue({ dbPath }, console);
+    ['a', 'a', 'b', 'c'].forEach((topic) => queue.push(topic, 'https://example.com', {}));
+    let job = queue.due(Date.now());
+    while (job) {
+      queue.mark(job.id, false, { permanent: true });
+      job = queue.due(Date.now());
+    }
+
+    const [first] = queue.listDeadLetters();
+    expect(queue.purgeDeadLetters({ id: first.id })).toBe(1);
+    expect(queue.purgeDeadLetters({ topic: 'b' })).toBe(1);
+    expect(queue.purgeDeadLetters()).toBe(2);
+    expect(queue.deadLetterCount()).toBe(0);
+    queue.db.close();
+  });
+
+  test('drops dead letters older than the retention window', () => {
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1_700_000_000_000);
+    const queue = createQueue({ dbPath, deadLetterMaxAgeSeconds: 60 }, console);
+    queue.push('transactions', 'https://example.com', {});
+    queue.mark(queue.due(Date.now()).id, false, { permanent: true });
+
+    nowSpy.mockReturnValue(1_700_000_030_000);
+    queue.enforceLimits();
+    expect(queue.deadLetterCount()).toBe(1);
+
+    nowSpy.mockReturnValue(1_700_000_061_000);
+    queue.enforceLimits();
+    expect(queue.deadLetterCount()).toBe(0);
+    queue.db.close();
+  });
+
+  test('claims due jobs for the same topic and url as one batch', () => {
+    const queue = createQueue({ dbPath, maxTries: 2 }, console);
+    for (let i = 0; i < 5; i += 1) queue.push('transaction_line', 'https://example.com/lines', { i });
+    queue.push('transactions', 'https://example.com/txns', { summary: true });
+    queue.push('transaction_line', 'https://example.com/other', { i: 99 });
+    queue.push('transaction_line', 'https://example.com/lines', { i: 5 });
+
+    const head = queue.due(Date.now());
+    const batch = queue.dueBatch(head, 4);
+    expect(batch.map((job) => JSON.parse(job.body).i)).toEqual([0, 1, 2, 3]);
+    expect(queue.dueBatch(head, 10).map((job) => JSON.parse(job.body).i)).toEqual([0, 1, 2, 3, 4, 5]);
+
+    expect(queue.markBatch(batch.map((job) => job.id), false, { error: 'down' })).toEqual(Array(4).fill('retry'));
+    const next = queue.due(Date.now());
+    expect(JSON.parse(next.body)).toEqual({ i: 4 });
+    expect(queue.dueBatch(next, 10).map((job) => JSON.parse(job.body).i)).toEqual([4, 5]);
+
+    expect(queue.markBatch(batch.map((job) => job.id), false, { error: 'down' })).toEqual(Array(4).fill('dead_letter'));
+    expect(queue.deadLetterCount()).toBe(4);
+    expect(queue.markBatch(queue.dueBatch(next, 10).map((job) => job.id), true)).toEqual(['delivered', 'delivered']);
+    expect(queue.depth()).toBe(2);
+    queue.db.close();
+  });
+
+  test('delivers higher-priority topics first', () => {
+    const queue = createQueue({ dbPath, topicPriorities: { transactions: 10 } }, console);
+    queue.push('transaction_line', 'https://example.com/lines', { n: 1 });
+    queue.push('transaction_line', 'https://example.com/lines', { n: 2 });
+    queue.push('transactions', 'https://example.com/txns', { n: 3 });
+    queue.push('transactions', 'https://example.com/txns', { n: 4 });
+
+    const order = [];
+    let job = queue.due(Date.now());
+    while (job) {
+      order.push(JSON.parse(job.body).n);
+      queue.mark(job.id, true);
+      job = queue.due(Date.now());
+    }
+    expect(order).toEqual([3, 4, 1, 2]);
+    queue.db.close();
+  });
+
+  test('expires only the lowest-priority jobs by age', () => {
+    const queue = createQueue({ dbPath, maxAgeSeconds: 60, topicPriorities: { transactions: 10 } }, console);
+    queue.push('transaction_line', 'https://example.com/lines', { n: 1 });
+    queue.push('transactions', 'https://example.com/txns', { n: 2 });
+    queue.db.prepare('UPDATE jobs SET created_at = created_at - 3600').run();
+
+    queue.enforceLimits();
+    expect(queue.db.prepare('SELECT topic FROM jobs').all()).toEqual([{ topic: 'transactions' }]);
+    queue.db.close();
+  });
+
+  test('lists urls with the highest-priority work first', () => {
+    const queue = createQueue({ dbPath, topicPriorities: { transactions: 10 } }, console);
+    queue.push('transaction_line', 'https://example.com/lines', {});
+    queue.push('transactions', 'https://example.com/txns', {});
+    expect(queue.dueUrls(Date.now())).toEqual(['https://example.com/txns', 'https://example.com/lines']);
+    queue.db.close();
+  });
+
+  test('holds an ordered summary until the lines of its transaction leave the queue', () => {
+    const queue = createQueue({
+      dbPath,
+      topicPriorities: { transactions: 10 },
+      orderedTopics: ['transactions'],
+    }, console);
+    queue.push('transaction_line', 'https://example.com/lines', { n: 1 }, {}, { orderKey: 'txn-a' });
+    queue.push('transaction_line', 'https://example.com/lines', { n: 2 }, {}, { orderKey: 'txn-a' });
+    queue.push('transactions', 'https://example.com/txns', { n: 3 }, {}, { orderKey: 'txn-a' });
+    queue.push('transactions', 'https://example.com/txns', { n: 4 }, {}, { orderKey: 'txn-b' });
+
+    const first = queue.due(Date.now());
+    expect(JSON.parse(first.body).n).toBe(4);
+    queue.mark(first.id, true);
+    expect(queue.dueForUrl('https://example.com/txns', new Set(), Date.now())).toBeNull();
+    expect(queue.dueUrls(Date.now())).toEqual(['https://example.com/lines']);
+
+    const line = queue.due(Date.now());
+    queue.mark(line.id, true);
+    const last = queue.due(Date.now());
+    queue.mark(last.id, false, { permanent: true });
+    expect(queue.listDeadLetters()[0].order_key).toBe('txn-a');
+
+    const summary = queue.due(Date.now());
+    expect(JSON.parse(summary.body).n).toBe(3);
+    queue.db.close();
+  });
+
+  test('adds priority and ordering columns to an older queue database', () => {
+    const Database = require('better-sqlite3');
+    const legacy = new Database(dbPath);
+    legacy.exec(`
+      CREATE TABLE jobs (
+        id INTEGER PRIMARY KEY,
+        topic TEXT NOT NULL,
+        url TEXT NOT NULL,
+        body TEXT NOT NULL,
+        headers TEXT NOT NULL,
+        tries INTEGER NOT NULL DEFAULT 0,
+        next_at INTEGER NOT NULL DEFAULT (strftime('%s','now')),
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s','now'))
+      );
+      INSERT INTO jobs(topic,url,body,headers,next_at,created_at) VALUES('transaction_line','https://example.com/lines','{}','{}',0,0);
+      INSERT INTO jobs(topic,url,body,headers,next_at,created_at) VALUES('transactions','https://example.com/txns','{}','{}',0,0);
+    `);
+    legacy.close();
+
+    const queue = createQueue({ dbPath, maxAgeSeconds: 0, topicPriorities: { transactions: 10 } }, console);
+    expect(queue.due(Date.now())).toMatchObject({ topic: 'transactions', priority: 10, order_key: null });
+    queue.db.close();
+  });
+
+  test('takes retry delays and budgets from the retry policy', () => {
+    const { createRetryPolicy } = require('../../src/queue/retryPolicy');
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1_700_000_000_000);
+    const retryPolicy = createRetryPolicy({
+      jitter: 'none',
+      maxTries: 10,
+      topics: { transaction_line: { maxTries: 2, baseSeconds: 5 } },
+    });
+    const queue = createQueue({ dbPath, retryPolicy }, console);
+    queue.push('transaction_line', 'https://example.com/lines', {});
+    queue.push('transactions', 'https://example.com/txns', {});
+    const [line, summary] = queue.db.prepare('SELECT * FROM jobs ORDER BY id').all();
+
+    expect(queue.mark(line.id, false)).toBe('retry');
+    expect(queue.mark(summary.id, false, { retryAfterSeconds: 42 })).toBe('retry');
+    const rows = queue.db.prepare('SELECT next_at FROM jobs ORDER BY id').all();
+    expect(rows.map((row) => row.next_at - 1_700_000_000)).toEqual([5, 42]);
+
+    expect(queue.mark(line.id, false)).toBe('dead_letter');
+    expect(queue.mark(summary.id, false)).toBe('retry');
+    nowSpy.mockRestore();
+    queue.db.close();
+  });
 });
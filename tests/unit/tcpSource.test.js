@@ -0,0 +1,118 @@
+const net = require('net');
+const { startTcpClient, startTcpListener } = require('../../src/ingest/tcp');
+const { createLineSplitter } = require('../../src/ingest/lineSplitter');
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+function waitFor(predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting'));
+      return setTimeout(tick, 10);
+    };
+    tick();
+  });
+}
+
+describe('tcp ingestion sources', () => {
+  test('client reads from a serial server and reconnects after it drops', async () => {
+    const received = [];
+    const sockets = [];
+    const server = net.createServer((socket) => sockets.push(socket));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    let disconnects = 0;
+
+    const client = startTcpClient({
+      host: '127.0.0.1',
+      port: server.address().port,
+      onData: (chunk) => received.push(chunk.toString()),
+      onDisconnect: () => { disconnects += 1; },
+      minDelayMs: 20,
+      maxDelayMs: 40,
+    }, silent);
+
+    try {
+      await waitFor(() => sockets.length === 1);
+      sockets[0].write('ITEM A  1.00\n');
+      await waitFor(() => received.join('') === 'ITEM A  1.00\n');
+
+      sockets[0].destroy();
+      await waitFor(() => sockets.length === 2);
+      expect(disconnects).toBe(1);
+      sockets[1].write('CASH  1.00\n');
+      await waitFor(() => received.join('').endsWith('CASH  1.00\n'));
+    } finally {
+      client.stop();
+      sockets.forEach((socket) => socket.destroy());
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('listener accepts a pushed stream and lets a new sender take over', async () => {
+    const received = [];
+    const listener = startTcpListener({
+      host: '127.0.0.1',
+      port: 0,
+      onData: (chunk) => received.push(chunk.toString()),
+    }, silent);
+    await new Promise((resolve) => listener.server.once('listening', resolve));
+    const { port } = listener.server.address();
+
+    const first = net.createConnection({ host: '127.0.0.1', port });
+    first.on('error', () => {});
+    let second = null;
+    try {
+      await new Promise((resolve) => first.once('connect', resolve));
+      first.write('ITEM A  1.00\n');
+      await waitFor(() => received.length === 1);
+
+      const firstClosed = new Promise((resolve) => first.once('close', resolve));
+      second = net.createConnection({ host: '127.0.0.1', port });
+      await new Promise((resolve) => second.once('connect', resolve));
+      await firstClosed;
+      second.write('CASH  1.00\n');
+      await waitFor(() => received.length === 2);
+      expect(received).toEqual(['ITEM A  1.00\n', 'CASH  1.00\n']);
+    } finally {
+      first.destroy();
+      if (second) second.destroy();
+      await new Promise((resolve) => listener.stop(resolve));
+    }
+  });
+
+  test('a new sender does not inherit the previous sender\'s partial line', async () => {
+    const lines = [];
+    const splitter = createLineSplitter((line) => lines.push(line));
+    const listener = startTcpListener({
+      host: '127.0.0.1',
+      port: 0,
+      onData: (chunk) => splitter.push(chunk),
+      onDisconnect: () => splitter.reset(),
+    }, silent);
+    await new Promise((resolve) => listener.server.once('listening', resolve));
+    const { port } = listener.server.address();
+
+    const first = net.createConnection({ host: '127.0.0.1', port });
+    first.on('error', () => {});
+    let second = null;
+    try {
+      await new Promise((resolve) => first.once('connect', resolve));
+      first.write('ITEM A  1.00\nITEM B  2.');
+      await waitFor(() => lines.length === 1);
+
+      const firstClosed = new Promise((resolve) => first.once('close', resolve));
+      second = net.createConnection({ host: '127.0.0.1', port });
+      await new Promise((resolve) => second.once('connect', resolve));
+      await firstClosed;
+      second.write('CASH  1.00\n');
+      await waitFor(() => lines.length === 2);
+      expect(lines).toEqual(['ITEM A  1.00', 'CASH  1.00']);
+    } finally {
+      first.destroy();
+      if (second) second.destroy();
+      await new Promise((resolve) => listener.stop(resolve));
+    }
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+const END_LINE = '09/19/25 19:12:43 102 ST#AB123               DR#1 TRAN#1023612 09/19/25 19:12:43 102 CSH: CORPORATE         09/19/25 19:12:43';
+
+function waitFor(predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting'));
+      return setTimeout(tick, 5);
+    };
+    tick();
+  });
+}
+
+describe('transaction summary', () => {
+  const dbPath = path.join(__dirname, '..', 'test-logs', 'transaction-summary.db');
+  let index;
+
+  beforeAll(() => {
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+    process.env.QUEUE_DB_PATH = dbPath;
+    index = require('../../src/index');
+  });
+
+  afterAll(() => {
+    index.queue.db.close();
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+  });
+
+  async function summarize(name, lines) {
+    const pushed = [];
+    const sink = { push: (topic, url, payload) => pushed.push({ topic, payload }) };
+    const channel = index.createChannel({ name }, { sink });
+    const now = Date.now();
+    [...lines, END_LINE].forEach((line, i) => channel.machine.feed(line, now + i));
+    await waitFor(() => pushed.some((entry) => entry.topic === 'transactions'));
+    return pushed.find((entry) => entry.topic === 'transactions').payload;
+  }
+
+  test('counts voids and refunds with their absolute amounts', async () => {
+    const summary = await summarize('exceptions', [
+      'SODA 1 2.00',
+      'VOID SODA 1 -2.00',
+      'CHIPS 1 1.50',
+      'REFUND -1 -1.00',
+      'TOTAL 0.50',
+      'CASH 0.50',
+    ]);
+
+    expect(summary).toMatchObject({
+      item_count: 2,
+      void_count: 1,
+      void_amount: 2,
+      refund_count: 1,
+      refund_amount: 1,
+      error_correct_count: 0,
+      error_correct_amount: null,
+      transaction_voided: false,
+    });
+  });
+
+  test('reports subtotal, tax, change and discounts and reconciles them', async () => {
+    const summary = await summarize('totals', [
+      'SODA 2 3.00',
+      'L  MIX DISCOUNT 1 -1.00',
+      'MFR COUPON 1 -0.75',
+      '07/23/25 10:15:06 102                    SUBTOTAL        1.25',
+      'TAX2 0.10',
+      'TOTAL 1.35',
+      'CASH 5.00',
+      'CHANGE DUE 3.65',
+    ]);
+
+    expect(summary).toMatchObject({
+      subtotal_amount: 1.25,
+      tax_amount: 0.1,
+      total_amount: 1.35,
+      change_amount: 3.65,
+      discount_amount: 1.75,
+      integrity_flags: [],
+    });
+    expect(summary.reconciliation).toMatchObject({ delta: 0, tender_delta: 0 });
+  });
+
+  test('lists each tender of a split payment in order', async () => {
+    const summary = await summarize('split', [
+      'SODA 1 10.00',
+      'TOTAL 10.00',
+      '07/11/25 04:16:55 102                   GIFT CARD        4.00',
+      'DEBIT 3.00',
+      'CASH 3.00',
+    ]);
+
+    expect(summary.tenders.map(({ type, amount, position }) => ({ type, amount, position }))).toEqual([
+      { type: 'gift_card', amount: 4, position: 2 },
+      { type: 'debit', amount: 3, position: 3 },
+      { type: 'cash', amount: 3, position: 4 },
+    ]);
+    expect(summary.tenders[0].timestamp).toMatch(/^2025-07-11T/);
+    expect(summary).toMatchObject({ cash_amount: 3, debit_amount: 3, credit_amount: null });
+    expect(summary.reconciliation.tender_delta).toBe(0);
+  });
+});
@@ -28,4 +28,164 @@ describe('transaction state machine', () => {
     expect(ends).toHaveLength(1);
     expect(ends[0].meta).toMatchObject({ transaction_number: '1023612', drawer_id: '1', store_id: 'AB123' });
   });
+
+  test('item inside an ERROR CORRECT block becomes the correction line', () => {
+    const lines = [];
+    const machine = makeTxnMachine({ onLine: (line) => lines.push(line) });
+
+    const baseTime = Date.now();
+    machine.feed('07/11/25 06:50:34 102 H               Grocery   1        1.79', baseTime);
+    machine.feed('07/11/25 06:50:36 102 ************ ERROR CORRECT *************', baseTime + 10);
+    machine.feed('07/11/25 06:50:36 102 H               Grocery   1       -1.79', baseTime + 20);
+    machine.feed('07/11/25 06:50:37 102 ERROR CORRECT\u001bc0\u0001\u001b!\u000007/11/25 06:50:37 102 ****************************************', baseTime + 30);
+    machine.feed('07/11/25 06:50:38 102 H               Grocery   1        1.99', baseTime + 40);
+
+    expect(lines.map((l) => l.c.type)).toEqual(['item', 'error_correct_start', 'error_correct', 'error_correct_end', 'separator', 'item']);
+    expect(lines[2].c).toMatchObject({ amount: -1.79, referencedItem: expect.stringContaining('Grocery') });
+  });
+
+  test('a marker followed by a non-item line does not modify a later item', () => {
+    const lines = [];
+    const machine = makeTxnMachine({ onLine: (line) => lines.push(line) });
+
+    const baseTime = Date.now();
+    machine.feed('07/11/25 06:50:34 102 H               Grocery   1        1.79', baseTime);
+    machine.feed('07/11/25 06:50:36 102 ************ ERROR CORRECT *************', baseTime + 10);
+    machine.feed('07/11/25 06:50:37 102 TOTAL                 1.79', baseTime + 20);
+    machine.feed('07/11/25 06:50:38 102 H               Grocery   1        1.99', baseTime + 30);
+
+    expect(lines.map((l) => l.c.type)).toEqual(['item', 'error_correct_start', 'total', 'item']);
+    expect(lines[3].c.referencedItem).toBeUndefined();
+  });
+
+  test('idle timeout closes an abandoned transaction at its last line', () => {
+    const lines = [];
+    const ends = [];
+    const machine = makeTxnMachine({
+      idleTimeoutMs: 1000,
+      onLine: (line) => lines.push(line),
+      onEnd: (payload) => ends.push(payload),
+    });
+
+    const baseTime = Date.now();
+    machine.feed('PEPSI 1 2.00', baseTime);
+    expect(machine.checkIdle(baseTime + 500)).toBe(false);
+    expect(machine.checkIdle(baseTime + 1500)).toBe(true);
+    expect(ends).toHaveLength(1);
+    expect(ends[0]).toMatchObject({ status: 'timed_out', nowMs: baseTime });
+
+    machine.feed('COKE 1 1.50', baseTime + 5000);
+    machine.feed(mashedEnd(), baseTime + 5010);
+    expect(ends).toHaveLength(2);
+    expect(ends[1].status).toBe('completed');
+    expect(lines[lines.length - 1].txnId).not.toBe(lines[0].txnId);
+  });
+
+  test('a late line closes the stale transaction before starting a new one', () => {
+    const ends = [];
+    const starts = [];
+    const machine = makeTxnMachine({
+      idleTimeoutMs: 1000,
+      onStart: (now) => starts.push(now),
+      onEnd: (payload) => ends.push(payload),
+    });
+
+    const baseTime = Date.now();
+    machine.feed('PEPSI 1 2.00', baseTime);
+    machine.feed('COKE 1 1.50', baseTime + 2000);
+
+    expect(ends).toEqual([expect.objectContaining({ status: 'timed_out', nowMs: baseTime })]);
+    expect(starts).toEqual([baseTime, baseTime + 2000]);
+  });
+
+  test('idle timeout is disabled by default', () => {
+    const ends = [];
+    const machine = makeTxnMachine({ onEnd: (payload) => ends.push(payload) });
+    machine.feed('PEPSI 1 2.00', 0);
+    expect(machine.checkIdle(24 * 60 * 60 * 1000)).toBe(false);
+    expect(ends).toHaveLength(0);
+  });
+
+  test('a restored snapshot continues the same transaction and position', () => {
+    const first = [];
+    const before = makeTxnMachine({ onLine: (line) => first.push(line) });
+    const baseTime = Date.now();
+    before.feed('07/11/25 06:50:34 102 H               Grocery   1        1.79', baseTime);
+    before.feed('07/11/25 06:50:36 102 ************ ERROR CORRECT *************', baseTime + 10);
+    const saved = JSON.parse(JSON.stringify(before.snapshot()));
+
+    const lines = [];
+    const ends = [];
+    const starts = [];
+    const after = makeTxnMachine({
+      onStart: (now) => starts.push(now),
+      onLine: (line) => lines.push(line),
+      onEnd: (payload) => ends.push(payload),
+    });
+    after.restore(saved);
+    after.feed('07/11/25 06:50:36 102 H               Grocery   1       -1.79', baseTime + 20);
+    after.feed(mashedEnd(), baseTime + 30);
+
+    expect(starts).toHaveLength(0);
+    expect(lines[0]).toMatchObject({ pos: 2, txnId: first[0].txnId, c: { type: 'error_correct' } });
+    expect(ends[0]).toMatchObject({ txnId: first[0].txnId, status: 'completed' });
+    expect(after.snapshot()).toBeNull();
+  });
+
+  test('close ends an open transaction with the given status', () => {
+    const ends = [];
+    const machine = makeTxnMachine({ onEnd: (payload) => ends.push(payload) });
+    expect(machine.close(0, 'interrupted')).toBe(false);
+    machine.feed('PEPSI 1 2.00', 100);
+    expect(machine.close(100, 'interrupted')).toBe(true);
+    expect(ends).toEqual([expect.objectContaining({ status: 'interrupted', lastPos: 1 })]);
+  });
+
+  test('walks the lifecycle states and raises transition events', () => {
+    const transitions = [];
+    const lines = [];
+    const machine = makeTxnMachine({
+      onLine: (line) => lines.push(line),
+      onTransition: (t) => transitions.push(`${t.event}:${t.from}>${t.to}`),
+    });
+
+    const baseTime = Date.now();
+    machine.feed('07/11/25 04:16:26 102 H               TOBACCO   1        1.49', baseTime);
+    machine.feed('07/11/25 04:16:54 102                       TOTAL        4.17', baseTime + 10);
+    machine.feed('07/11/25 04:16:55 102                        CASH        3.25', baseTime + 20);
+    machine.feed('07/11/25 04:17:04 102                      CREDIT        0.92', baseTime + 30);
+    expect(machine.state).toBe('TENDERING');
+    machine.feed(mashedEnd(), baseTime + 40);
+
+    expect(transitions).toEqual([
+      'started:IDLE>ITEMIZING',
+      'total_reached:ITEMIZING>TENDERING',
+      'tender_started:TENDERING>TENDERING',
+      'closing:TENDERING>CLOSING',
+      'ended:CLOSING>IDLE',
+    ]);
+    expect(lines.map((l) => l.state)).toEqual(['ITEMIZING', 'TENDERING', 'TENDERING', 'TENDERING', 'CLOSING', 'CLOSING']);
+    expect(machine.state).toBe('IDLE');
+  });
+
+  test('suspending a ticket ends it and a recall starts a new one', () => {
+    const ends = [];
+    const lines = [];
+    const machine = makeTxnMachine({
+      onLine: (line) => lines.push(line),
+      onEnd: (payload) => ends.push(payload),
+    });
+
+    const baseTime = Date.now();
+    machine.feed('07/11/25 04:23:40 102 H     SUTTER MOSCATO CA   2        4.58', baseTime);
+    machine.feed('07/11/25 04:23:46 102 TRANSACTION SUSPENDED # 1028376', baseTime + 10);
+    expect(ends).toEqual([expect.objectContaining({ status: 'suspended', state: 'SUSPENDED' })]);
+
+    machine.feed('07/11/25 04:24:03 102 H     SUTTER MOSCATO CA   2        4.58', baseTime + 20);
+    machine.feed('07/11/25 04:24:04 102 TRANSACTION RECALLED #1028376', baseTime + 30);
+    machine.feed('07/11/25 04:24:10 102 L           Low Grocery   1        0.98', baseTime + 40);
+
+    expect(lines.slice(2).map((l) => l.state)).toEqual(['ITEMIZING', 'RECALLED', 'ITEMIZING']);
+    expect(lines[2].txnId).not.toBe(lines[0].txnId);
+  });
 });
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { createQueue } = require('../../src/queue/sqliteQueue');
+const { createTxnStore } = require('../../src/state/txnStore');
+
+describe('open transaction store', () => {
+  const dbPath = path.join(__dirname, '..', 'test-logs', 'txn-store.db');
+  const silent = { warn: () => {} };
+
+  function cleanup() {
+    ['', '-wal', '-shm'].forEach((suffix) => {
+      if (fs.existsSync(`${dbPath}${suffix}`)) fs.unlinkSync(`${dbPath}${suffix}`);
+    });
+  }
+
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  test('persists the snapshot in the queue database across reopen', () => {
+    const snapshot = { machine: { state: 'IN_TXN', pos: 3, txnId: 'abc' }, txn: { lines: [{ line_type: 'item' }] } };
+
+    const queue = createQueue({ dbPath }, silent);
+    createTxnStore({ db: queue.db }, silent).save(snapshot);
+    queue.db.close();
+
+    const reopened = createQueue({ dbPath }, silent);
+    const store = createTxnStore({ db: reopened.db }, silent);
+    expect(store.load()).toEqual(snapshot);
+    store.clear();
+    expect(store.load()).toBeNull();
+    reopened.db.close();
+  });
+
+  test('discards an unreadable snapshot', () => {
+    const queue = createQueue({ dbPath }, silent);
+    const store = createTxnStore({ db: queue.db }, silent);
+    queue.db.prepare("INSERT INTO open_transaction(channel,snapshot,updated_at) VALUES('default',?,0)").run('{not json');
+    expect(store.load()).toBeNull();
+    expect(queue.db.prepare('SELECT COUNT(*) AS count FROM open_transaction').get().count).toBe(0);
+    queue.db.close();
+  });
+
+  test('keeps one snapshot per channel', () => {
+    const queue = createQueue({ dbPath }, silent);
+    const first = createTxnStore({ db: queue.db, channel: 'ttyUSB0' }, silent);
+    const second = createTxnStore({ db: queue.db, channel: 'ttyUSB1' }, silent);
+    first.save({ machine: { pos: 1 } });
+    second.save({ machine: { pos: 7 } });
+    first.clear();
+    expect(first.load()).toBeNull();
+    expect(second.load()).toEqual({ machine: { pos: 7 } });
+    queue.db.close();
+  });
+
+  test('falls back to memory without a database', () => {
+    const store = createTxnStore({}, silent);
+    store.save({ machine: { pos: 1 } });
+    expect(store.load()).toEqual({ machine: { pos: 1 } });
+  });
+});
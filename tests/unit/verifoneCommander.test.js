@@ -23,6 +23,14 @@ describe('verifoneCommander parser', () => {
     expect(classify('ALARM DOOR')).toMatchObject({ type: 'ignore' });
   });
 
+  test('classify recognises EBT, gift card, check and mobile tenders', () => {
+    expect(classify('07/11/25 04:16:55 102                    EBT FOOD        3.25')).toMatchObject({ type: 'ebt', amount: 3.25 });
+    expect(classify('07/11/25 04:16:55 102                 FOOD STAMPS        3.25')).toMatchObject({ type: 'ebt', amount: 3.25 });
+    expect(classify('07/11/25 04:16:55 102                   GIFT CARD       10.00')).toMatchObject({ type: 'gift_card', amount: 10 });
+    expect(classify('07/11/25 04:16:55 102                       CHECK       20.00')).toMatchObject({ type: 'check', amount: 20 });
+    expect(classify('07/11/25 04:16:55 102                  MOBILE PAY        4.50')).toMatchObject({ type: 'mobile', amount: 4.5 });
+  });
+
   test('classify recognises DOB verification lines', () => {
     const raw = '\u001bc0\u000109/24/25 07:23:04 101 DOB Verification: BYPASS Trans#1011395';
     expect(classify(raw)).toMatchObject({
@@ -32,4 +40,70 @@ describe('verifoneCommander parser', () => {
       transactionNumber: '1011395',
     });
   });
+
+  test('classify recognises loss-prevention exception lines', () => {
+    expect(classify('07/11/25 04:43:07 102 VOID TICKET 1028388')).toMatchObject({ type: 'void_transaction', transactionNumber: '1028388' });
+    expect(classify('VOID SODA 1 -2.00')).toMatchObject({ type: 'void', referencedItem: 'SODA', amount: -2 });
+    expect(classify('REFUND -1 -1.00')).toMatchObject({ type: 'refund', qty: -1, amount: -1 });
+    expect(classify('NO SALE')).toMatchObject({ type: 'no_sale' });
+    expect(classify('TRANSACTION CANCELLED #1234')).toMatchObject({ type: 'cancel', transactionNumber: '1234' });
+    expect(classify('07/11/25 04:43:24 102 ************ ERROR CORRECT *************')).toMatchObject({ type: 'error_correct_start' });
+    expect(classify('07/11/25 04:15:20 102 ID CHECK ERROR CORR')).toMatchObject({ type: 'error_correct', referencedItem: 'ID CHECK' });
+  });
+
+  test('classify normalises keyed-in birth dates', () => {
+    expect(classify('07/11/25 04:23:27 102 Fri Feb 02 00:00:00 EST 2001')).toMatchObject({
+      type: 'dob_entry', dob: '2001-02-02', desc: 'DOB Entry: 2001-02-02',
+    });
+  });
+
+  test('classify recognises suspended and recalled tickets', () => {
+    expect(classify('07/11/25 04:23:46 102 TRANSACTION SUSPENDED # 1028376')).toMatchObject({ type: 'suspend', transactionNumber: '1028376' });
+    expect(classify('07/11/25 04:24:04 102 TRANSACTION RECALLED #1028376')).toMatchObject({ type: 'recall', transactionNumber: '1028376' });
+  });
+
+  test('splitMashedEnd splits manual entry overrides glued to the next line', () => {
+    const raw = '\u001bc0\u0001\u001b!\u000007/23/25 10:20:12 102 Trans#1028402 MANUAL ENTRY OVERRIDE\u001bc0\u0001\u001b!\u000007/23/25 10:20:12 102 Sat Feb 02 00:00:00 EST 2002';
+    const parts = splitMashedEnd(raw);
+    expect(parts).toEqual([
+      '07/23/25 10:20:12 102 Trans#1028402 MANUAL ENTRY OVERRIDE',
+      '07/23/25 10:20:12 102 Sat Feb 02 00:00:00 EST 2002',
+    ]);
+    expect(classify(parts[0])).toMatchObject({ type: 'manual_override', transactionNumber: '1028402' });
+  });
+
+  test('classify recognises subtotal, tax, change, discount and coupon lines', () => {
+    expect(classify('07/23/25 10:15:06 102                    SUBTOTAL       20.78')).toMatchObject({ type: 'subtotal', amount: 20.78 });
+    expect(classify('TAX2 0.30')).toMatchObject({ type: 'tax', taxId: '2', amount: 0.3 });
+    expect(classify('CHANGE DUE 4.22')).toMatchObject({ type: 'change', amount: 4.22 });
+    expect(classify('L  MIX DISCOUNT 1 -1.00')).toMatchObject({ type: 'discount', desc: 'MIX DISCOUNT', amount: -1 });
+    expect(classify('MFR COUPON 1 -0.75')).toMatchObject({ type: 'coupon', desc: 'MFR COUPON', amount: -0.75 });
+  });
+
+  test('classify attaches the register clock and number from the line prefix', () => {
+    const raw = '\u001bc0\u0001\u001b!\u000007/23/25 10:20:16 102                       TOTAL       16.18 ';
+    expect(classify(raw)).toMatchObject({ type: 'total', posDate: '07/23/25', posTime: '10:20:16', posRegister: '102' });
+    expect(classify('TOTAL 16.18')).not.toHaveProperty('posDate');
+  });
+
+  test('classify splits item lines into tax class, department, PLU and unit price', () => {
+    expect(classify('\u001bc0\u0001\u001b!\u000007/23/25 10:15:01 102 L  Monster Blue Hawaiia   1        3.49 ')).toMatchObject({
+      type: 'item', desc: 'Monster Blue Hawaiia', taxClass: 'L', qty: 1, unitPrice: 3.49, amount: 3.49,
+    });
+    expect(classify('07/11/25 04:15:24 102 HL              Grocery   2        3.38')).toMatchObject({
+      desc: 'Grocery', taxClass: 'HL', qty: 2, unitPrice: 1.69, amount: 3.38,
+    });
+    expect(classify('H  DEPT 12 TOBACCO 2 @ 5.99 11.98')).toMatchObject({ department: '12', desc: 'TOBACCO', unitPrice: 5.99 });
+    expect(classify('L  0123456789012 CHIPS 1 1.99')).toMatchObject({ plu: '0123456789012', desc: 'CHIPS' });
+  });
+
+  test('classify recognises fuel prepay, postpay and grade lines', () => {
+    expect(classify('\u001bc0\u0001\u001b!\u000007/23/25 10:15:05 102           PREPAY CA #05   1       15.00 ')).toMatchObject({
+      type: 'fuel_prepay', pump: 5, fuelTender: 'CA', amount: 15,
+    });
+    expect(classify('FUEL REGULAR #3 1 25.00')).toMatchObject({ type: 'fuel_postpay', pump: 3, grade: 'REGULAR', amount: 25 });
+    expect(classify('REGULAR #03 8.123 G @ 3.079 25.01')).toMatchObject({
+      type: 'fuel_grade', grade: 'REGULAR', pump: 3, gallons: 8.123, pricePerGallon: 3.079, amount: 25.01,
+    });
+  });
 });